@@ -1,16 +1,33 @@
 #!/usr/bin/env node
 
-import { Command, Option } from "commander"
-import { diffLines } from "diff"
+import { Command, InvalidArgumentError, Option } from "commander"
+import { FILE_HEADERS_ONLY, formatPatch, structuredPatch } from "diff"
 import { once } from "events"
+import { watch } from "fs"
 import fs from "fs/promises"
 import process from "node:process"
 import os from "os"
 import path from "path"
+import { createInterface } from "readline"
 import { fileURLToPath } from "url"
 import { Worker } from "worker_threads"
 import pkg from "../package.json" with { type: "json" }
-import { transform } from "../src/index.js"
+import { Cache } from "../src/cache.js"
+import { ChangeSet } from "../src/changes.js"
+import { Configuration } from "../src/config.js"
+import { FileFinder } from "../src/files.js"
+import { Git } from "../src/git.js"
+import {
+  applyChanges,
+  groupChanges,
+  transform,
+  validateAsOf,
+  validateBaseline,
+  validateRules,
+  validateSyntax,
+} from "../src/index.js"
+import { PARSERS } from "../src/parsers.js"
+import { Targets } from "../src/targets.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -20,31 +37,94 @@ const __dirname = path.dirname(__filename)
  */
 
 /**
- * Handles worker thread execution for file processing.
+ * Long-lived worker threads that process one file at a time.
+ *
+ * Workers are started on demand and reused for subsequent files.
  */
 class WorkerRunner {
   constructor(workerPath) {
     this.workerPath = workerPath
+    this.workers = []
+    this.idle = []
   }
 
   /**
-   * Run a worker thread to process a file.
+   * Process a file on an idle worker thread, starting a new one if all are busy.
+   *
+   * A worker that fails or exits without a result is discarded, and the file is
+   * reported as an error.
    * @param {string} filePath - Path to the file to process.
-   * @param {string} baseline - Baseline level for transformations.
+   * @param {import("../src/index.js").TransformOptions} options - Transformation options.
    * @returns {Promise<Object>} Worker message result.
    */
-  async run(filePath, baseline) {
-    const worker = new Worker(this.workerPath, {
-      workerData: { filePath, baseline },
-    })
+  async run(filePath, options) {
+    const worker = this.idle.pop() ?? this.#start()
+    worker.postMessage({ filePath, options })
+
+    const controller = new AbortController()
+    try {
+      const [message] = await Promise.race([
+        once(worker, "message", { signal: controller.signal }),
+        once(worker, "exit", { signal: controller.signal }).then(([code]) => {
+          throw new Error(`Worker stopped with exit code ${code}`)
+        }),
+      ])
+      this.idle.push(worker)
+      return message
+    } catch (error) {
+      this.workers = this.workers.filter((other) => other !== worker)
+      await worker.terminate()
+      return {
+        success: false,
+        filePath,
+        error: { message: error.message, stack: error.stack },
+      }
+    } finally {
+      controller.abort()
+    }
+  }
+
+  /**
+   * Terminate all worker threads.
+   * @returns {Promise<void>} Complete when all workers have exited.
+   */
+  async close() {
+    const workers = this.workers
+    this.workers = []
+    this.idle = []
+    await Promise.all(workers.map((worker) => worker.terminate()))
+  }
 
-    const [message] = await once(worker, "message")
-    return message
+  /**
+   * Start a new worker thread.
+   * @returns {Worker} The worker.
+   */
+  #start() {
+    const worker = new Worker(this.workerPath)
+    this.workers.push(worker)
+    return worker
   }
 }
 
 /**
- * Processes individual files and handles output.
+ * Outcome of processing a single file.
+ *
+ * @typedef {Object} FileResult
+ * @property {string} path - Path of the file.
+ * @property {"modified" | "unchanged" | "deferred" | "error"} status - Processing
+ *   status, `deferred` for files left for a later run by `--max-files` or `--max-changes`.
+ * @property {Error} [error] - Error that occurred while processing the file.
+ * @property {string} [original] - Original code.
+ * @property {string} [code] - Transformed code.
+ * @property {string[]} transformers - Names of the transformers that modified the code.
+ * @property {import("../src/index.js").AttributedEdit[]} changes - Changes to the original code.
+ * @property {import("../src/engine.js").PassTiming[]} [passes] - Transformers applied in
+ *   each pass and its duration.
+ * @property {string[]} [warnings] - Warnings about code that was left unchanged.
+ */
+
+/**
+ * Processes individual files and writes changes.
  */
 class FileProcessor {
   constructor(workerRunner) {
@@ -55,128 +135,1018 @@ class FileProcessor {
    * Process a file using a worker thread.
    * @param {string} filePath - Path to the file to process.
    * @param {Object} options - Processing options.
-   * @param {string} options.baseline - Baseline level for transformations.
-   * @param {boolean} options.check - Whether to only check for changes.
+   * @param {Configuration} options.configuration - Project configuration.
+   * @param {import("../src/config.js").FileSettings} options.settings - Settings from command line options.
+   * @param {string} [options.asOf] - Date the baseline is evaluated at.
+   * @param {string[]} [options.targets] - Browsers that must support the transformers.
+   * @param {string} [options.parser] - Parser for all files, detected per file by default.
+   * @param {Cache} [options.cache] - Cache of up-to-date files.
+   * @param {Budget} [options.budget] - Budget of files to write, which defers writing
+   *   and reporting until all files are processed.
+   * @param {Map<string, import("../src/changes.js").LineRange[]>} [options.lines] - Lines
+   *   that may be changed by absolute path, all lines of other files.
    * @param {boolean} options.write - Whether to write changes to file.
-   * @param {boolean} options.verbose - The verbosity level for logging.
-   * @returns {Promise<{modified: boolean, error: boolean}>} Result of processing.
+   * @param {TextReporter | JsonReporter | NdjsonReporter | SarifReporter | DiffReporter} options.reporter - Reporter for the result.
+   * @returns {Promise<FileResult>} Result of processing.
    */
   async processFile(filePath, options) {
-    // Validate that the provided path exists and is a file.
-    try {
-      const stats = await fs.stat(filePath)
-      if (!stats.isFile()) {
-        console.error(`Error: '${filePath}' is not a file`)
-        process.exit(1)
-      }
-    } catch (error) {
-      console.error(`Error: Cannot access '${filePath}': ${error.message}`)
-      process.exit(1)
+    const result = await this.#transformFile(filePath, options)
+    if (!options.budget) {
+      options.reporter.file(result, options)
     }
+    return result
+  }
 
+  /**
+   * Transform a file and write the changes if requested.
+   *
+   * Files that the cache knows to be up to date are skipped without starting a worker.
+   * @param {string} filePath - Path to the file to process.
+   * @param {Object} options - Processing options.
+   * @returns {Promise<FileResult>} Result of processing.
+   */
+  async #transformFile(filePath, options) {
     try {
-      const workerResult = await this.workerRunner.run(filePath, options.baseline)
+      const transformOptions = {
+        ...options.configuration.resolve(filePath, options.settings),
+        asOf: options.asOf,
+        targets: options.targets,
+        parser: options.parser,
+        lines: options.lines
+          ? options.lines.get((await realPaths([filePath]))[0])
+          : undefined,
+      }
+      const key =
+        options.cache &&
+        options.cache.key(await fs.readFile(filePath, "utf8"), transformOptions)
+      if (options.cache?.isUpToDate(filePath, key)) {
+        return { path: filePath, status: "unchanged", transformers: [], changes: [] }
+      }
+
+      const workerResult = await this.workerRunner.run(filePath, transformOptions)
 
       if (!workerResult.success) {
-        if (options.verbose) console.error(workerResult.error)
-        console.error(
-          `\x1b[31m✗\x1b[0m Error: ${filePath}: ${workerResult.error.message}`,
-        )
-        return { modified: false, error: true }
+        options.cache?.update(filePath)
+        return {
+          path: filePath,
+          status: "error",
+          error: workerResult.error,
+          transformers: [],
+          changes: [],
+        }
+      }
+
+      const { modified, original, code, transformers, changes, passes, warnings } =
+        workerResult.result
+      if (modified && options.write && !options.budget) {
+        await fs.writeFile(filePath, code, "utf8")
+      }
+      options.cache?.update(
+        filePath,
+        (!modified || options.write) && warnings.length === 0
+          ? options.cache.key(code, transformOptions)
+          : undefined,
+      )
+      return {
+        path: filePath,
+        status: modified ? "modified" : "unchanged",
+        original,
+        code,
+        transformers,
+        changes,
+        passes,
+        warnings,
       }
+    } catch (error) {
+      return { path: filePath, status: "error", error, transformers: [], changes: [] }
+    }
+  }
+}
 
-      const result = workerResult.result
+/**
+ * Count the results by status.
+ * @param {FileResult[]} results - Results of all files.
+ * @returns {{total: number, modified: number, unchanged: number, deferred: number, errors: number}} Counts.
+ */
+function summarize(results) {
+  const count = (status) => results.filter((result) => result.status === status).length
+  return {
+    total: results.length,
+    modified: count("modified"),
+    unchanged: count("unchanged"),
+    deferred: count("deferred"),
+    errors: count("error"),
+  }
+}
+
+/**
+ * Human-readable output with colored diffs.
+ */
+class TextReporter {
+  /**
+   * Start timing the processing.
+   */
+  start() {
+    console.time("Processing")
+  }
+
+  /**
+   * Print the diff, status or error of a file.
+   * @param {FileResult} result - Result of the file.
+   * @param {Object} options - Processing options.
+   * @param {boolean} options.check - Whether to only check for changes.
+   * @param {boolean} options.write - Whether changes were written to file.
+   * @param {boolean} options.verbose - The verbosity level for logging.
+   */
+  file(result, options) {
+    this.#display(result, options)
+    if (options.verbose && result.passes) {
+      this.#displayPasses(result.passes)
+    }
+    displayWarnings(result)
+  }
 
-      if (result.modified) {
+  /**
+   * Print the diff, status or error of a file.
+   * @param {FileResult} result - Result of the file.
+   * @param {Object} options - Processing options.
+   */
+  #display(result, options) {
+    switch (result.status) {
+      case "error":
+        if (options.verbose) console.error(result.error.stack)
+        console.error(`\x1b[31m✗\x1b[0m Error: ${result.path}: ${result.error.message}`)
+        break
+      case "modified":
+        // Changes are displayed one at a time when reviewed interactively
+        if (options.interactive) {
+          break
+        }
         // Display diff if check mode or if not writing (dry-run)
         if (options.check || !options.write) {
-          this.#displayDiff(filePath, result.original, result.code)
+          this.#displayDiff(result)
+        }
+        if (options.write && !options.check) {
+          console.info(`\x1b[32m✓\x1b[0m ${result.path}`)
+        }
+        break
+      case "deferred":
+        if (!options.check) {
+          console.debug(`  ${result.path} \x1b[2m(deferred)\x1b[0m`)
+        }
+        break
+      default:
+        // Show unmodified files unless in check-only mode
+        if (!options.check) {
+          console.debug(`  ${result.path}`)
         }
+    }
+  }
+
+  /**
+   * Print the timing and a summary of all files.
+   * @param {FileResult[]} results - Results of all files.
+   * @param {Object} options - Processing options.
+   */
+  finish(results, options) {
+    console.timeEnd("Processing")
+    const { modified: modifiedCount, deferred } = summarize(results)
+
+    console.info("")
 
+    if (modifiedCount === 0 && deferred === 0) {
+      console.info("All files are up to date")
+    } else if (modifiedCount > 0) {
+      if (options.check) {
+        console.info(
+          `${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} need${modifiedCount === 1 ? "s" : ""} upgrading`,
+        )
         if (options.write) {
-          await fs.writeFile(filePath, result.code, "utf8")
-          if (!options.check) {
-            console.info(`\x1b[32m✓\x1b[0m ${filePath}`)
-          }
+          console.info("Changes have been written")
+        }
+      } else if (options.write) {
+        // --write without --check
+        console.info(
+          `✓ ${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} upgraded`,
+        )
+      } else {
+        // Dry-run mode (no --check, no --write)
+        console.info(
+          `${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} would be upgraded`,
+        )
+      }
+    }
+    if (deferred > 0) {
+      console.info(
+        `${deferred} file${deferred !== 1 ? "s" : ""} remain${deferred === 1 ? "s" : ""} to be upgraded in a later run`,
+      )
+    }
+  }
+
+  /**
+   * Display the duration and applied transformers of each pass.
+   * @param {import("../src/engine.js").PassTiming[]} passes - Timings of all passes.
+   */
+  #displayPasses(passes) {
+    passes.forEach(({ transformers, duration }, index) => {
+      console.debug(
+        `    pass ${index + 1}: ${duration.toFixed(1)}ms${transformers.length ? ` (${transformers.join(", ")})` : ""}`,
+      )
+    })
+  }
+
+  /**
+   * Display the changed lines of a file and the transformers that changed them.
+   * @param {FileResult} result - Result of the modified file.
+   */
+  #displayDiff({ path: filePath, original, code, changes }) {
+    console.group(`\x1b[31m✗\x1b[0m ${filePath}`)
+    new ChangeSet(original, code).changes.forEach((change, index) => {
+      const { start, transformers } = changes[index]
+      console.info(`  \x1b[2mline ${start.line}: ${transformers.join(", ")}\x1b[0m`)
+      displayLines(change.removed, "\x1b[31m-")
+      displayLines(change.added, "\x1b[32m+")
+    })
+    console.groupEnd()
+  }
+}
+
+/**
+ * Display all non-blank lines of a text with a colored marker.
+ * @param {string} text - Lines to display.
+ * @param {string} marker - Color code and marker prefixed to each line.
+ */
+function displayLines(text, marker) {
+  for (const line of text.split("\n")) {
+    if (line.trim() !== "") {
+      console.info(`  ${marker} ${line}\x1b[0m`)
+    }
+  }
+}
+
+/**
+ * Print the warnings of a file.
+ * @param {FileResult} result - Result of the file.
+ */
+function displayWarnings({ path: filePath, warnings = [] }) {
+  for (const warning of warnings) {
+    console.warn(`\x1b[33m!\x1b[0m Warning: ${filePath}: ${warning}`)
+  }
+}
+
+/**
+ * Resolve paths to their real absolute paths, so that paths through symbolic links
+ * match the paths git reports.
+ * @param {string[]} files - Paths of the files.
+ * @returns {Promise<string[]>} Real paths, or absolute paths of missing files.
+ */
+function realPaths(files) {
+  return Promise.all(
+    files.map((file) => fs.realpath(file).catch(() => path.resolve(file))),
+  )
+}
+
+/**
+ * Convert a path to a POSIX path relative to the working directory.
+ * @param {string} filePath - Path of the file.
+ * @returns {string} Relative path with forward slashes.
+ */
+function relativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join("/")
+}
+
+/**
+ * Single JSON document with all files and a summary, written once all files are processed.
+ */
+class JsonReporter {
+  /**
+   * @param {import("stream").Writable} [output] - Stream to write the report to.
+   */
+  constructor(output = process.stdout) {
+    this.output = output
+  }
+
+  /**
+   * Nothing to do before processing.
+   */
+  start() {}
+
+  /**
+   * Nothing to do per file.
+   */
+  file() {}
+
+  /**
+   * Write the report of all files.
+   * @param {FileResult[]} results - Results of all files.
+   */
+  finish(results) {
+    this.output.write(
+      `${JSON.stringify(
+        { files: results.map(serializeResult), summary: summarize(results) },
+        null,
+        2,
+      )}\n`,
+    )
+  }
+}
+
+/**
+ * Newline-delimited JSON with one line per file as soon as it is processed.
+ */
+class NdjsonReporter {
+  /**
+   * @param {import("stream").Writable} [output] - Stream to write the report to.
+   */
+  constructor(output = process.stdout) {
+    this.output = output
+  }
+
+  /**
+   * Nothing to do before processing.
+   */
+  start() {}
+
+  /**
+   * Write the report of a file.
+   * @param {FileResult} result - Result of the file.
+   */
+  file(result) {
+    this.output.write(
+      `${JSON.stringify({ type: "file", ...serializeResult(result) })}\n`,
+    )
+  }
+
+  /**
+   * Write the summary of all files.
+   * @param {FileResult[]} results - Results of all files.
+   */
+  finish(results) {
+    this.output.write(`${JSON.stringify({ type: "summary", ...summarize(results) })}\n`)
+  }
+}
+
+/**
+ * Convert a file result to its machine-readable form.
+ * @param {FileResult} result - Result of the file.
+ * @returns {Object} File path, status, error message, warnings, transformers and
+ *   changes.
+ */
+function serializeResult({
+  path,
+  status,
+  error,
+  warnings = [],
+  transformers,
+  changes,
+}) {
+  return {
+    path,
+    status,
+    error: error ? error.message : null,
+    warnings,
+    transformers,
+    changes,
+  }
+}
+
+/**
+ * SARIF 2.1.0 log with a result and fix for every change, for code scanning tools.
+ */
+class SarifReporter {
+  /**
+   * @param {import("stream").Writable} [output] - Stream to write the log to.
+   */
+  constructor(output = process.stdout) {
+    this.output = output
+  }
+
+  /**
+   * Nothing to do before processing.
+   */
+  start() {}
+
+  /**
+   * Nothing to do per file.
+   */
+  file() {}
+
+  /**
+   * Write the log of all files.
+   * @param {FileResult[]} results - Results of all files.
+   */
+  finish(results) {
+    const sarifResults = results.flatMap((result) =>
+      result.changes.flatMap((change) => this.#results(result.path, change)),
+    )
+    const rules = [...new Set(sarifResults.map(({ ruleId }) => ruleId))].map((id) => ({
+      id,
+      helpUri: `${pkg.homepage}#transformations`,
+    }))
+    const errors = results.filter(({ status }) => status === "error")
+
+    this.output.write(
+      `${JSON.stringify(
+        {
+          $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+          version: "2.1.0",
+          runs: [
+            {
+              tool: {
+                driver: {
+                  name: pkg.name,
+                  version: pkg.version,
+                  informationUri: pkg.homepage,
+                  rules,
+                },
+              },
+              invocations: [
+                {
+                  executionSuccessful: errors.length === 0,
+                  toolExecutionNotifications: [
+                    ...errors.map((result) => ({
+                      level: "error",
+                      message: { text: result.error.message },
+                      locations: [this.#location(result.path)],
+                    })),
+                    ...results.flatMap(({ path: filePath, warnings = [] }) =>
+                      warnings.map((warning) => ({
+                        level: "warning",
+                        message: { text: warning },
+                        locations: [this.#location(filePath)],
+                      })),
+                    ),
+                  ],
+                },
+              ],
+              results: sarifResults,
+            },
+          ],
+        },
+        null,
+        2,
+      )}\n`,
+    )
+  }
+
+  /**
+   * Convert a change to a SARIF result per transformer that made it.
+   *
+   * The fix is only attached to the first result, so that it is not applied twice.
+   * Changes that cannot be attributed to a transformer are reported under the name of
+   * the tool.
+   * @param {string} filePath - Path of the file.
+   * @param {import("../src/index.js").AttributedEdit} change - Change to the file.
+   * @returns {Object[]} SARIF results.
+   */
+  #results(filePath, change) {
+    const region = {
+      startLine: change.start.line,
+      startColumn: change.start.column,
+      endLine: change.end.line,
+      endColumn: change.end.column,
+    }
+    const description = `Upgrade with ${change.transformers.join(", ") || pkg.name}`
+    const ruleIds = change.transformers.length > 0 ? change.transformers : [pkg.name]
+    return ruleIds.map((ruleId, index) => ({
+      ruleId,
+      level: "warning",
+      message: { text: description },
+      locations: [this.#location(filePath, region)],
+      ...(index === 0 && {
+        fixes: [
+          {
+            description: { text: description },
+            artifactChanges: [
+              {
+                artifactLocation: { uri: relativePath(filePath) },
+                replacements: [
+                  { deletedRegion: region, insertedContent: { text: change.added } },
+                ],
+              },
+            ],
+          },
+        ],
+      }),
+      properties: { transformers: change.transformers, pass: change.pass },
+    }))
+  }
+
+  /**
+   * Build a SARIF location of a file or a region within it.
+   * @param {string} filePath - Path of the file.
+   * @param {Object} [region] - Region within the file.
+   * @returns {Object} SARIF location.
+   */
+  #location(filePath, region) {
+    return {
+      physicalLocation: {
+        artifactLocation: { uri: relativePath(filePath) },
+        ...(region && { region }),
+      },
+    }
+  }
+}
+
+/**
+ * Unified diff of all modified files, for `git apply` or `patch -p1`.
+ *
+ * Hunk headers name the transformers of the changes in the hunk.
+ */
+class DiffReporter {
+  /**
+   * @param {import("stream").Writable} [output] - Stream to write the diff to.
+   */
+  constructor(output = process.stdout) {
+    this.output = output
+  }
+
+  /**
+   * Nothing to do before processing.
+   */
+  start() {}
+
+  /**
+   * Write the diff of a modified file, or print the error of a failed file.
+   *
+   * Errors and warnings are printed to stderr.
+   * @param {FileResult} result - Result of the file.
+   */
+  file(result) {
+    switch (result.status) {
+      case "error":
+        console.error(`\x1b[31m✗\x1b[0m Error: ${result.path}: ${result.error.message}`)
+        break
+      case "modified":
+        this.output.write(this.#patch(result))
+        break
+    }
+    displayWarnings(result)
+  }
+
+  /**
+   * Create the patch of a modified file, naming the transformers of each hunk in its
+   * header.
+   * @param {FileResult} result - Result of the modified file.
+   * @returns {string} Unified diff of the file.
+   */
+  #patch({ path: filePath, original, code, changes }) {
+    const patch = structuredPatch(
+      `a/${relativePath(filePath)}`,
+      `b/${relativePath(filePath)}`,
+      original,
+      code,
+    )
+    const headings = patch.hunks.map(({ oldStart, oldLines }) => [
+      ...new Set(
+        changes
+          .filter(
+            ({ start, end }) =>
+              start.line < oldStart + Math.max(oldLines, 1) && oldStart <= end.line,
+          )
+          .flatMap(({ transformers }) => transformers),
+      ),
+    ])
+    let hunk = 0
+    return formatPatch(patch, FILE_HEADERS_ONLY).replace(
+      /^@@ .* @@$/gm,
+      (header) => `${header} ${headings[hunk++].join(", ")}`,
+    )
+  }
+
+  /**
+   * Nothing to do after processing.
+   */
+  finish() {}
+}
+
+const REPORTERS = {
+  text: TextReporter,
+  json: JsonReporter,
+  ndjson: NdjsonReporter,
+  sarif: SarifReporter,
+  diff: DiffReporter,
+}
+
+/**
+ * Manages a pool of workers for parallel file processing.
+ */
+class WorkerPool {
+  constructor(fileProcessor, maxWorkers = os.cpus().length) {
+    this.fileProcessor = fileProcessor
+    this.maxWorkers = maxWorkers
+  }
+
+  /**
+   * Process files with a worker pool for better CPU utilization.
+   * @param {string[]} files - Files to process.
+   * @param {Object} options - Processing options.
+   * @param {number} [options.jobs] - Number of files to process in parallel.
+   * @returns {Promise<Array>} Array of processing results.
+   */
+  async processFiles(files, options) {
+    const results = new Array(files.length)
+    let fileIndex = 0
+
+    // Worker pool pattern - each worker processes files until queue is empty
+    const processNext = async () => {
+      while (fileIndex < files.length) {
+        const currentIndex = fileIndex++
+        const file = files[currentIndex]
+        results[currentIndex] = await this.fileProcessor.processFile(file, options)
+      }
+    }
+
+    // Start worker pool and wait for all to complete
+    const workerCount = Math.min(options.jobs ?? this.maxWorkers, files.length)
+    const workers = Array.from({ length: workerCount }, () => processNext())
+    await Promise.all(workers)
+
+    return results
+  }
+}
+
+/**
+ * Save the cache of up-to-date files, warning if it cannot be written.
+ * @param {Cache} [cache] - Cache to save, if caching is enabled.
+ * @returns {Promise<void>} Resolves once the cache is saved.
+ */
+async function saveCache(cache) {
+  try {
+    await cache?.save()
+  } catch (error) {
+    console.warn(`Warning: Cannot write cache: ${error.message}`)
+  }
+}
+
+/**
+ * Milliseconds to wait for further changes before processing changed files.
+ */
+const WATCH_DELAY = 100
+
+/**
+ * Processes files again whenever they change, until the process is interrupted.
+ *
+ * Changes are collected until no file has changed for a short delay. Changes caused by
+ * writing upgraded files are ignored.
+ */
+class Watcher {
+  /**
+   * Absolute paths of files that changed since the last batch.
+   * @type {Set<string>}
+   */
+  #changed = new Set()
+
+  /**
+   * Code last written to each file, by absolute path.
+   * @type {Map<string, string>}
+   */
+  #written = new Map()
+
+  /**
+   * Batch that is being processed, so that batches do not overlap.
+   * @type {Promise<void>}
+   */
+  #processing = Promise.resolve()
+
+  #timeout
+
+  /**
+   * @param {WorkerPool} workerPool - Pool processing the changed files.
+   * @param {FileFinder} fileFinder - Finder resolving the watched patterns.
+   * @param {number} [delay] - Milliseconds to wait for further changes.
+   */
+  constructor(workerPool, fileFinder, delay = WATCH_DELAY) {
+    this.workerPool = workerPool
+    this.fileFinder = fileFinder
+    this.delay = delay
+  }
+
+  /**
+   * Watch the directories of all patterns for changed files.
+   * @param {string[]} patterns - File paths, directory paths or glob patterns to watch.
+   * @param {Object} options - Processing options.
+   * @returns {Promise<void>} Resolves once watching has started.
+   * @throws {Error} If a path cannot be accessed.
+   */
+  async watch(patterns, options) {
+    for (const { directory, recursive } of await this.fileFinder.directories(
+      patterns,
+    )) {
+      watch(directory, { recursive }, (_, filename) => {
+        if (filename) {
+          this.#schedule(path.join(directory, filename), patterns, options)
         }
+      })
+    }
+    console.error(`Watching ${patterns.join(", ")} for changes, press Ctrl+C to stop`)
+  }
+
+  /**
+   * Remember a changed file and process all changed files after the delay.
+   * @param {string} filePath - Absolute path of the changed file.
+   * @param {string[]} patterns - Watched patterns.
+   * @param {Object} options - Processing options.
+   */
+  #schedule(filePath, patterns, options) {
+    this.#changed.add(filePath)
+    clearTimeout(this.#timeout)
+    this.#timeout = setTimeout(() => {
+      this.#processing = this.#processing.then(() => this.#process(patterns, options))
+    }, this.delay)
+  }
+
+  /**
+   * Process the changed files that match the patterns and report the results.
+   * @param {string[]} patterns - Watched patterns.
+   * @param {Object} options - Processing options.
+   * @returns {Promise<void>} Resolves once the files are processed.
+   */
+  async #process(patterns, options) {
+    const changed = this.#changed
+    this.#changed = new Set()
+
+    let files
+    try {
+      files = (await this.fileFinder.find(patterns)).filter(
+        (file) =>
+          changed.has(path.resolve(file)) && options.configuration.includes(file),
+      )
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      return
+    }
+    files = (
+      await Promise.all(
+        files.map(async (file) => ((await this.#isWritten(file)) ? [] : [file])),
+      )
+    ).flat()
+    if (files.length === 0) {
+      return
+    }
+
+    options.reporter.start()
+    const results = await this.workerPool.processFiles(files, options)
+    options.reporter.finish(results, options)
+    for (const result of results) {
+      if (result.status === "modified" && options.write) {
+        this.#written.set(path.resolve(result.path), result.code)
+      }
+    }
+    await saveCache(options.cache)
+  }
+
+  /**
+   * Check if a file still contains the code written to it by the watcher.
+   * @param {string} file - Path of the file.
+   * @returns {Promise<boolean>} True if the change was caused by writing the file.
+   */
+  async #isWritten(file) {
+    const written = this.#written.get(path.resolve(file))
+    this.#written.delete(path.resolve(file))
+    return (
+      written !== undefined &&
+      written === (await fs.readFile(file, "utf8").catch(() => null))
+    )
+  }
+}
 
-        return { modified: true, error: false }
-      }
+/**
+ * Limits the number of files or changes written in a run, so that upgrades can be
+ * reviewed in small steps.
+ *
+ * Modified files are taken in a deterministic order until the next file does not fit
+ * in the budget, and the remaining files are deferred to a later run. The first file is
+ * always taken, even if it has more changes than the budget, so that every run makes
+ * progress.
+ *
+ * @property {number} [maxFiles] - Maximum number of modified files.
+ * @property {number} [maxChanges] - Maximum number of changes in all modified files.
+ * @property {"path" | "changes"} order - Order of the files: by path, or by fewest
+ *   changes first.
+ */
+class Budget {
+  /**
+   * @param {Object} options - Budget options.
+   * @param {number} [options.maxFiles] - Maximum number of modified files.
+   * @param {number} [options.maxChanges] - Maximum number of changes.
+   * @param {"path" | "changes"} [options.order] - Order of the files.
+   */
+  constructor({ maxFiles, maxChanges, order = "path" }) {
+    this.maxFiles = maxFiles
+    this.maxChanges = maxChanges
+    this.order = order
+  }
 
-      // Show unmodified files unless in check-only mode
-      if (!options.check) {
-        console.debug(`  ${filePath}`)
+  /**
+   * Select the modified files within the budget.
+   * @param {FileResult[]} results - Results of all files.
+   * @returns {Set<FileResult>} Results of the selected files.
+   */
+  select(results) {
+    const selected = new Set()
+    let changes = 0
+    for (const result of this.#sort(
+      results.filter(({ status }) => status === "modified"),
+    )) {
+      if (
+        selected.size === this.maxFiles ||
+        (selected.size > 0 &&
+          changes + result.changes.length > (this.maxChanges ?? Infinity))
+      ) {
+        break
       }
-      return { modified: false, error: false }
-    } catch (error) {
-      console.error(`\x1b[31m✗\x1b[0m Error: ${filePath}: ${error.message}`)
-      return { modified: false, error: true }
+      selected.add(result)
+      changes += result.changes.length
     }
+    return selected
   }
 
   /**
-   * Display a diff between original and modified code.
-   * @param {string} filePath - Path to the file being displayed.
-   * @param {string} original - Original code.
-   * @param {string} modified - Modified code.
+   * Check if a file has more changes than the whole budget.
+   * @param {FileResult} result - Result of a modified file.
+   * @returns {boolean} True if the file exceeds {@link Budget#maxChanges}.
    */
-  #displayDiff(filePath, original, modified) {
-    const diff = diffLines(original, modified)
+  exceeds(result) {
+    return result.changes.length > (this.maxChanges ?? Infinity)
+  }
 
-    console.group(`\x1b[31m✗\x1b[0m ${filePath}`)
-    for (const part of diff) {
-      if (part.added) {
-        for (const line of part.value.split("\n")) {
-          if (line.trim() !== "") {
-            console.info(`  \x1b[32m+ ${line}\x1b[0m`)
-          }
-        }
-      } else if (part.removed) {
-        for (const line of part.value.split("\n")) {
-          if (line.trim() !== "") {
-            console.info(`  \x1b[31m- ${line}\x1b[0m`)
-          }
-        }
-      }
-    }
-    console.groupEnd()
+  /**
+   * Sort modified files in the order they are selected.
+   * @param {FileResult[]} results - Results of the modified files.
+   * @returns {FileResult[]} Sorted results.
+   */
+  #sort(results) {
+    const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)
+    return results.toSorted(
+      this.order === "changes"
+        ? (a, b) => a.changes.length - b.changes.length || byPath(a, b)
+        : byPath,
+    )
   }
 }
 
 /**
- * Manages a pool of workers for parallel file processing.
+ * Help for the answers to the review prompt.
  */
-class WorkerPool {
-  constructor(fileProcessor, maxWorkers = os.cpus().length) {
-    this.fileProcessor = fileProcessor
-    this.maxWorkers = maxWorkers
-  }
+const REVIEW_HELP = `y - apply this change
+n - do not apply this change
+a - apply this change and all later changes of the same transformers
+q - quit; do not apply this change or any of the remaining ones
+? - print help`
+
+/**
+ * Asks which changes to apply, one change at a time, similar to `git add -p`.
+ *
+ * Changes that a transformer made together are shown and applied as one change, and
+ * files are only written if they can still be parsed.
+ * Answers are read line by line from stdin, so that they can also be piped.
+ */
+class Reviewer {
+  /**
+   * Names of the transformers whose changes are applied without asking.
+   * @type {Set<string>}
+   */
+  #acceptedTransformers = new Set()
 
   /**
-   * Process files with a worker pool for better CPU utilization.
-   * @param {string[]} files - Files to process.
-   * @param {Object} options - Processing options.
-   * @returns {Promise<Array>} Array of processing results.
+   * Whether to skip all remaining changes.
+   * @type {boolean}
    */
-  async processFiles(files, options) {
-    const results = new Array(files.length)
-    let fileIndex = 0
+  #quit = false
 
-    // Worker pool pattern - each worker processes files until queue is empty
-    const processNext = async () => {
-      while (fileIndex < files.length) {
-        const currentIndex = fileIndex++
-        const file = files[currentIndex]
-        results[currentIndex] = await this.fileProcessor.processFile(file, options)
+  /**
+   * Ask for each change of the modified files whether to apply it, and write the
+   * accepted changes.
+   * @param {FileResult[]} results - Results of all files, processed without writing.
+   * @param {string} [parser] - Parser for all files, detected per file by default.
+   * @returns {Promise<FileResult[]>} Results with only the accepted changes, files
+   *   without accepted changes are unchanged.
+   */
+  async review(results, parser) {
+    const readline = createInterface({ input: process.stdin, terminal: false })
+    const answers = readline[Symbol.asyncIterator]()
+    try {
+      const reviewed = []
+      for (const result of results) {
+        reviewed.push(
+          result.status === "modified"
+            ? await this.#reviewFile(result, answers, parser)
+            : result,
+        )
       }
+      return reviewed
+    } finally {
+      readline.close()
     }
+  }
 
-    // Start worker pool and wait for all to complete
-    const workerCount = Math.min(this.maxWorkers, files.length)
-    const workers = Array.from({ length: workerCount }, () => processNext())
-    await Promise.all(workers)
+  /**
+   * Ask for each change of a file whether to apply it, and write the accepted changes.
+   * @param {FileResult} result - Result of the modified file.
+   * @param {AsyncIterator<string>} answers - Lines of stdin.
+   * @param {string} [parser] - Parser of the file, detected by default.
+   * @returns {Promise<FileResult>} Result with only the accepted changes.
+   */
+  async #reviewFile(result, answers, parser) {
+    const { path: filePath, original, code, changes } = result
+    const lineChanges = new ChangeSet(original, code).changes
+    const groups = groupChanges(changes)
+    const accepted = []
+    if (!this.#quit) {
+      console.info(`\x1b[1m${filePath}\x1b[0m`)
+    }
+    for (const [number, group] of groups.entries()) {
+      if (this.#quit) {
+        break
+      }
+      for (const index of group) {
+        const { start, transformers } = changes[index]
+        console.info(`  \x1b[2mline ${start.line}: ${transformers.join(", ")}\x1b[0m`)
+        displayLines(lineChanges[index].removed, "\x1b[31m-")
+        displayLines(lineChanges[index].added, "\x1b[32m+")
+      }
+      const isAccepted = await this.#ask(
+        [...new Set(group.flatMap((index) => changes[index].transformers))],
+        `(${number + 1}/${groups.length}) Apply this change [y,n,a,q,?]? `,
+        answers,
+      )
+      group.forEach((index) => (accepted[index] = isAccepted))
+    }
 
-    return results
+    if (!accepted.includes(true)) {
+      return {
+        ...result,
+        status: "unchanged",
+        code: original,
+        transformers: [],
+        changes: [],
+      }
+    }
+    const acceptedChanges = changes.filter((_, index) => accepted[index])
+    const output = applyChanges(original, result, (_, index) => accepted[index])
+    try {
+      validateSyntax(output, { filePath, parser })
+    } catch (error) {
+      return {
+        path: filePath,
+        status: "error",
+        error: new Error(
+          `Accepted changes leave code that cannot be parsed: ${error.message}`,
+        ),
+        transformers: [],
+        changes: [],
+      }
+    }
+    try {
+      await fs.writeFile(filePath, output, "utf8")
+    } catch (error) {
+      return { path: filePath, status: "error", error, transformers: [], changes: [] }
+    }
+    return {
+      ...result,
+      code: output,
+      transformers: [
+        ...new Set(acceptedChanges.flatMap((change) => change.transformers)),
+      ],
+      changes: acceptedChanges,
+    }
+  }
+
+  /**
+   * Ask whether to apply a change, unless its transformers were accepted before.
+   * @param {string[]} transformers - Names of the transformers that made the change.
+   * @param {string} prompt - Question to print.
+   * @param {AsyncIterator<string>} answers - Lines of stdin.
+   * @returns {Promise<boolean>} True if the change is accepted.
+   */
+  async #ask(transformers, prompt, answers) {
+    if (transformers.every((name) => this.#acceptedTransformers.has(name))) {
+      return true
+    }
+    for (;;) {
+      process.stdout.write(prompt)
+      const { value, done } = await answers.next()
+      if (done) {
+        process.stdout.write("\n")
+        this.#quit = true
+        return false
+      }
+      switch (value.trim().toLowerCase()) {
+        case "y":
+          return true
+        case "n":
+          return false
+        case "a":
+          transformers.forEach((name) => this.#acceptedTransformers.add(name))
+          return true
+        case "q":
+          this.#quit = true
+          return false
+        default:
+          console.info(REVIEW_HELP)
+      }
+    }
   }
 }
 
@@ -187,10 +1157,16 @@ class StdinProcessor {
   /**
    * Process stdin using the configured transformation options.
    * @param {Object} options - Processing options.
-   * @param {string} options.baseline - Baseline level for transformations.
+   * @param {Configuration} options.configuration - Project configuration.
+   * @param {import("../src/config.js").FileSettings} options.settings - Settings from command line options.
+   * @param {string} [options.asOf] - Date the baseline is evaluated at.
+   * @param {string[]} [options.targets] - Browsers that must support the transformers.
+   * @param {string} [options.parser] - Parser, TSX by default.
    * @param {boolean} options.check - Whether to only check for changes.
    * @param {boolean} options.write - Whether to write changes to file.
    * @param {boolean} options.verbose - The verbosity level for logging.
+   * @param {string} options.format - Output format.
+   * @param {string} [options.output] - File to write the report to.
    * @returns {Promise<void>} Complete when stdin processing finishes.
    */
   async processStdin(options) {
@@ -198,10 +1174,41 @@ class StdinProcessor {
       console.error("Error: '--write' cannot be used with stdin")
       process.exit(1)
     }
+    if (options.format !== "text") {
+      console.error("Error: '--format' cannot be used with stdin")
+      process.exit(1)
+    }
+    if (options.output) {
+      console.error("Error: '--output' cannot be used with stdin")
+      process.exit(1)
+    }
+    if (options.watch) {
+      console.error("Error: '--watch' cannot be used with stdin")
+      process.exit(1)
+    }
+    if (options.interactive) {
+      console.error("Error: '--interactive' cannot be used with stdin")
+      process.exit(1)
+    }
+    const [, gitFlag] =
+      Object.entries({
+        changed: "--changed",
+        changedLines: "--changed-lines",
+        staged: "--staged",
+      }).find(([name]) => options[name]) ?? []
+    if (gitFlag) {
+      console.error(`Error: '${gitFlag}' cannot be used with stdin`)
+      process.exit(1)
+    }
 
     try {
       const code = await this.#readStdin()
-      const result = transform(code, options.baseline)
+      const result = transform(code, {
+        ...options.configuration.resolve(undefined, options.settings),
+        asOf: options.asOf,
+        targets: options.targets,
+        parser: options.parser,
+      })
 
       if (options.check) {
         if (result.modified) {
@@ -241,18 +1248,59 @@ class StdinProcessor {
  */
 class CLIRunner {
   constructor(workerPath) {
-    const workerRunner = new WorkerRunner(workerPath)
-    const fileProcessor = new FileProcessor(workerRunner)
+    this.workerRunner = new WorkerRunner(workerPath)
+    const fileProcessor = new FileProcessor(this.workerRunner)
     this.workerPool = new WorkerPool(fileProcessor)
     this.stdinProcessor = new StdinProcessor()
+    this.fileFinder = new FileFinder()
+    this.watcher = new Watcher(this.workerPool, this.fileFinder)
+    this.git = new Git()
   }
 
   /**
    * Process files and report results.
-   * @param {string[]} patterns - File paths to process (no globbing).
+   * @param {string[]} patterns - File paths, directory paths or glob patterns to process.
    * @param {Object} options - Processing options.
    */
   async run(patterns, options) {
+    try {
+      options.configuration = await Configuration.load()
+    } catch (error) {
+      console.error(`Error: Invalid configuration: ${error.message}`)
+      return process.exit(1)
+    }
+
+    options.settings = this.#getCommandLineSettings(options)
+    try {
+      validateRules(options.settings.rules)
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      return process.exit(1)
+    }
+
+    let targets
+    try {
+      targets = options.targets ? new Targets(options.targets) : Targets.load()
+    } catch (error) {
+      console.error(`Error: Invalid targets: ${error.message}`)
+      return process.exit(1)
+    }
+    if (targets?.source) {
+      // Configured targets replace Baseline widely available as the default
+      console.error(
+        options.baseline
+          ? `Using browserslist targets from ${targets.source}`
+          : `Using browserslist targets from ${targets.source} instead of Baseline widely available`,
+      )
+    }
+    if (targets?.unknown.length > 0) {
+      console.warn(
+        `Warning: No browser support data for ${targets.unknown.join(", ")}, these targets are ignored`,
+      )
+    }
+    options.targets = targets?.browsers
+    options.format = options.diff ? "diff" : options.format
+
     switch (this.#getInputMode(patterns)) {
       case "stdin":
         await this.stdinProcessor.processStdin(options)
@@ -264,12 +1312,225 @@ class CLIRunner {
         break
     }
 
-    console.time("Processing")
-    // Hand CLI-provided names directly to the worker pool; file validation occurs in processFile.
-    const results = await this.workerPool.processFiles(patterns, options)
-    console.timeEnd("Processing")
+    let files
+    let partiallyStaged
+    try {
+      files = (
+        await this.fileFinder.find(patterns, {
+          // Files may still be created while watching
+          onUnmatched: (pattern) =>
+            options.watch || console.warn(`Warning: '${pattern}' matches no files`),
+        })
+      ).filter((file) => options.configuration.includes(file))
+      files = await this.#selectChangedFiles(files, options)
+      options.lines =
+        options.changedLines &&
+        (await this.git.changedLines(
+          options.changedLines === true ? undefined : options.changedLines,
+        ))
+      partiallyStaged =
+        options.staged && new Set(await realPaths(await this.git.unstagedFiles()))
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      return process.exit(1)
+    }
+
+    if (options.order && !options.maxFiles && !options.maxChanges) {
+      console.error("Error: '--order' requires '--max-files' or '--max-changes'")
+      return process.exit(1)
+    }
+
+    if (options.watch && !["text", "ndjson", "diff"].includes(options.format)) {
+      console.error(`Error: '--watch' cannot be used with '--format ${options.format}'`)
+      return process.exit(1)
+    }
+
+    let output
+    try {
+      output = await this.#openOutput(options)
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      return process.exit(1)
+    }
+    options.reporter = new REPORTERS[options.format](output)
+
+    options.cache = options.cache ? await Cache.load() : undefined
+    options.budget =
+      options.maxFiles || options.maxChanges ? new Budget(options) : undefined
+    process.once("SIGINT", () => this.#interrupt())
+    if (options.watch) {
+      await this.watcher.watch(patterns, options)
+      return
+    }
+    options.reporter.start()
+    let results = await this.workerPool.processFiles(files, options)
+    await this.workerRunner.close()
+    if (options.budget) {
+      results = await this.#applyBudget(results, options)
+    }
+    if (options.interactive) {
+      const reviewed = await new Reviewer().review(results, options.parser)
+      // Files whose accepted changes cannot be written are reported after the review
+      reviewed
+        .filter(
+          (result, index) =>
+            result.status === "error" && results[index].status !== "error",
+        )
+        .forEach((result) => options.reporter.file(result, options))
+      results = reviewed
+      // Accepted changes have been written by the reviewer
+      options.write = true
+    }
+    options.reporter.finish(results, options)
+    if (output) {
+      output.end()
+      await once(output, "close")
+    }
+    await saveCache(options.cache)
+    if (options.staged && options.write) {
+      await this.#stageFiles(results, partiallyStaged)
+    }
+
+    this.#exit(results, options)
+  }
+
+  /**
+   * Write and report the files within the budget, and defer the other modified files.
+   * @param {FileResult[]} results - Results of all files, processed without writing.
+   * @param {Object} options - Processing options.
+   * @param {Budget} options.budget - Budget of files to write.
+   * @param {boolean} options.write - Whether to write changes to files.
+   * @returns {Promise<FileResult[]>} Results with deferred files.
+   */
+  async #applyBudget(results, options) {
+    const selected = options.budget.select(results)
+    const budgeted = []
+    for (let result of results) {
+      if (result.status === "modified" && !selected.has(result)) {
+        result = {
+          path: result.path,
+          status: "deferred",
+          transformers: [],
+          changes: [],
+        }
+      } else if (result.status === "modified" && options.budget.exceeds(result)) {
+        result = {
+          ...result,
+          warnings: [
+            ...(result.warnings ?? []),
+            `${result.changes.length} changes exceed --max-changes ${options.budget.maxChanges}, the file is upgraded as a whole`,
+          ],
+        }
+      }
+      if (result.status === "modified" && options.write) {
+        try {
+          await fs.writeFile(result.path, result.code, "utf8")
+        } catch (error) {
+          result = {
+            path: result.path,
+            status: "error",
+            error,
+            transformers: [],
+            changes: [],
+          }
+        }
+      }
+      options.reporter.file(result, options)
+      budgeted.push(result)
+    }
+    return budgeted
+  }
+
+  /**
+   * Select the files changed relative to a ref or staged in the index, if requested.
+   * @param {string[]} files - Paths of the files matching the patterns.
+   * @param {Object} options - Processing options.
+   * @param {string | boolean} [options.changed] - Ref to compare with, or true for HEAD.
+   * @param {string | boolean} [options.changedLines] - Ref to compare the lines with, or
+   *   true for HEAD.
+   * @param {boolean} [options.staged] - Whether to select staged files.
+   * @returns {Promise<string[]>} Paths of the selected files.
+   * @throws {Error} If git fails.
+   */
+  async #selectChangedFiles(files, { changed = false, changedLines, staged }) {
+    const ref = changed || changedLines
+    if (!ref && !staged) {
+      return files
+    }
+    const selected = new Set(
+      await realPaths(
+        staged
+          ? await this.git.stagedFiles()
+          : await this.git.changedFiles(ref === true ? undefined : ref),
+      ),
+    )
+    const resolved = await realPaths(files)
+    return files.filter((_, index) => selected.has(resolved[index]))
+  }
+
+  /**
+   * Stage the upgraded files again, except files with unstaged changes of their own.
+   * @param {FileResult[]} results - Results of all files.
+   * @param {Set<string>} partiallyStaged - Absolute paths of files that had unstaged
+   *   changes before processing.
+   * @returns {Promise<void>} Resolves once the files are staged.
+   */
+  async #stageFiles(results, partiallyStaged) {
+    const files = await realPaths(
+      results.filter(({ status }) => status === "modified").map(({ path }) => path),
+    )
+    for (const file of files.filter((file) => partiallyStaged.has(file))) {
+      console.warn(
+        `Warning: ${relativePath(file)} has unstaged changes, stage the upgrade manually`,
+      )
+    }
+    try {
+      await this.git.add(files.filter((file) => !partiallyStaged.has(file)))
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  /**
+   * Open the file given by `--output` to write the report to.
+   * @param {Object} options - Processing options.
+   * @returns {Promise<import("fs").WriteStream | undefined>} Stream of the file, or
+   *   undefined to write to stdout.
+   * @throws {Error} If the format is text or the file cannot be opened.
+   */
+  async #openOutput({ output, format }) {
+    if (!output) {
+      return undefined
+    }
+    if (format === "text") {
+      throw new Error("'--output' cannot be used with '--format text'")
+    }
+    const handle = await fs.open(output, "w")
+    return handle.createWriteStream()
+  }
+
+  /**
+   * Terminate all workers and exit with the conventional code for SIGINT.
+   * @returns {Promise<void>} Never resolves, the process exits.
+   */
+  async #interrupt() {
+    await this.workerRunner.close()
+    process.exit(130)
+  }
 
-    this.#reportSummary(results, options)
+  /**
+   * Collect the settings given as command line options.
+   * @param {Object} options - Processing options.
+   * @returns {import("../src/config.js").FileSettings} Settings taking precedence over the configuration.
+   */
+  #getCommandLineSettings({ baseline, only, disable }) {
+    return {
+      baseline,
+      rules: Object.fromEntries(
+        Object.entries({ only, disable }).filter(([, names]) => names),
+      ),
+    }
   }
 
   /**
@@ -290,52 +1551,112 @@ class CLIRunner {
     }
   }
 
-  #reportSummary(results, options) {
-    let modifiedCount = 0
-    const errorCount = results.filter((result) => {
-      if (result.modified) {
-        modifiedCount++
-      }
-      return result.error
-    }).length
-
-    console.info("")
-
-    if (modifiedCount === 0) {
-      console.info("All files are up to date")
-    } else {
-      if (options.check) {
-        console.info(
-          `${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} need${modifiedCount === 1 ? "s" : ""} upgrading`,
-        )
-        if (options.write) {
-          console.info("Changes have been written")
-        }
-      } else if (options.write) {
-        // --write without --check
-        console.info(
-          `✓ ${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} upgraded`,
-        )
-      } else {
-        // Dry-run mode (no --check, no --write)
-        console.info(
-          `${modifiedCount} file${modifiedCount !== 1 ? "s" : ""} would be upgraded`,
-        )
-      }
-    }
+  /**
+   * Exit with an error code for processing errors or files that need upgrading.
+   * @param {FileResult[]} results - Results of all files.
+   * @param {Object} options - Processing options.
+   */
+  #exit(results, options) {
+    const { modified, deferred, errors } = summarize(results)
 
     // Errors take precedence over --check flag.
     // Exit with error code if any file processing errors occurred.
-    if (errorCount > 0) {
+    if (errors > 0) {
       process.exit(128)
     }
 
-    if (options.check && modifiedCount > 0) {
+    if (options.check && modified + deferred > 0) {
       process.exit(1)
     }
   }
 }
 
+/**
+ * Parse a comma-separated list of transformer names, accumulating repeated options.
+ * @param {string} value - Comma-separated names.
+ * @param {string[]} [previous] - Names from previous occurrences of the option.
+ * @returns {string[]} All names.
+ */
+function parseNames(value, previous = []) {
+  return [
+    ...previous,
+    ...value
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+  ]
+}
+
+/**
+ * Options with an optional ref, e.g. `--changed [ref]`.
+ */
+const REF_OPTIONS = ["--changed", "--changed-lines"]
+
+/**
+ * Keep options with an optional ref from taking a file pattern as their ref, e.g.
+ * `--changed src`, by comparing with HEAD if the following argument is not a ref.
+ * @param {string[]} args - Command line arguments.
+ * @param {Git} git - Repository to look up refs in.
+ * @returns {Promise<string[]>} Arguments with explicit refs.
+ */
+async function separateRefs(args, git) {
+  const end = args.includes("--") ? args.indexOf("--") : args.length
+  return Promise.all(
+    args.map(async (arg, index) => {
+      const next = args[index + 1]
+      return REF_OPTIONS.includes(arg) &&
+        index + 1 < end &&
+        !next.startsWith("-") &&
+        !(await git.isRef(next))
+        ? `${arg}=HEAD`
+        : arg
+    }),
+  )
+}
+
+/**
+ * Parse a positive integer, e.g. the number of parallel jobs.
+ * @param {string} value - Positive integer.
+ * @returns {number} The number.
+ * @throws {InvalidArgumentError} If the value is not a positive integer.
+ */
+function parsePositiveInteger(value) {
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw new InvalidArgumentError("Use a positive integer.")
+  }
+  return Number(value)
+}
+
+/**
+ * Validate a baseline level or year.
+ * @param {string} value - Baseline level or year.
+ * @returns {string} The baseline.
+ * @throws {InvalidArgumentError} If the baseline is invalid.
+ */
+function parseBaseline(value) {
+  try {
+    validateBaseline(value)
+  } catch (error) {
+    throw new InvalidArgumentError(error.message)
+  }
+  return value
+}
+
+/**
+ * Validate a date for evaluating the baseline.
+ * @param {string} value - ISO 8601 date.
+ * @returns {string} The date.
+ * @throws {InvalidArgumentError} If the date is invalid.
+ */
+function parseAsOf(value) {
+  try {
+    validateAsOf(value)
+  } catch (error) {
+    throw new InvalidArgumentError(error.message)
+  }
+  return value
+}
+
 // Initialize CLI
 const program = new Command()
 const cliRunner = new CLIRunner(path.join(__dirname, "../src/worker.js"))
@@ -344,12 +1665,44 @@ program
   .name("esupgrade")
   .description("Auto-upgrade your JavaScript syntax")
   .version(pkg.version)
-  .argument("<files...>", "Files or directories to process, or '-' to read from stdin")
+  .argument(
+    "<files...>",
+    "Files, directories or glob patterns to process, or '-' to read from stdin",
+  )
+  .option(
+    "--baseline <level>",
+    "Set baseline level (widely-available, newly-available) or year, e.g. 2022, for transformations (default: widely-available, newly-available with targets)",
+    parseBaseline,
+  )
+  .option(
+    "--as-of <date>",
+    "Evaluate the baseline level at this date, e.g. 2026-01-01 (default: today)",
+    parseAsOf,
+  )
+  .option(
+    "--targets <query>",
+    "Browserslist query of browsers that must support all transformations (default: .browserslistrc or package.json)",
+  )
   .addOption(
-    new Option("--baseline <level>", "Set baseline level for transformations")
-      .choices(["widely-available", "newly-available"])
-      .default("widely-available"),
+    new Option(
+      "--parser <parser>",
+      "Parser for all files (default: by file extension and @flow pragma)",
+    ).choices(Object.keys(PARSERS)),
   )
+  .option("--only <names>", "Apply only these comma-separated transformers", parseNames)
+  .option("--disable <names>", "Skip these comma-separated transformers", parseNames)
+  .addOption(
+    new Option("--format <format>", "Output format")
+      .choices(Object.keys(REPORTERS))
+      .default("text"),
+  )
+  .addOption(
+    new Option(
+      "--diff",
+      "Print a unified diff of all changes (same as --format diff)",
+    ).conflicts("format"),
+  )
+  .option("--output <file>", "Write the report to a file instead of stdout")
   .option("--verbose, -v", "Show more detailed output.", false)
   .option(
     "--check",
@@ -357,8 +1710,68 @@ program
     false,
   )
   .option("--write", "Write changes to files", false)
+  .addOption(
+    new Option(
+      "--interactive",
+      "Review each change and write the accepted ones, similar to git add -p",
+    ).conflicts(["check", "diff", "format", "watch", "write"]),
+  )
+  .addOption(
+    new Option(
+      "--changed [ref]",
+      "Only process files changed since the merge base of a ref, including uncommitted files (default: HEAD)",
+    ).conflicts("staged"),
+  )
+  .addOption(
+    new Option(
+      "--changed-lines [ref]",
+      "Only upgrade lines changed since the merge base of a ref, including uncommitted changes (default: HEAD)",
+    ).conflicts(["changed", "staged", "watch"]),
+  )
+  .addOption(
+    new Option(
+      "--staged",
+      "Only process files staged in the git index, and stage them again with --write",
+    ).conflicts("watch"),
+  )
+  .addOption(
+    new Option("--watch", "Process files again whenever they change").conflicts(
+      "changed",
+    ),
+  )
+  .addOption(
+    new Option(
+      "--max-files <n>",
+      "Only upgrade this many files and report how many remain for a later run",
+    )
+      .argParser(parsePositiveInteger)
+      .conflicts(["interactive", "watch"]),
+  )
+  .addOption(
+    new Option(
+      "--max-changes <n>",
+      "Only upgrade files with this many changes in total and report how many remain",
+    )
+      .argParser(parsePositiveInteger)
+      .conflicts(["interactive", "watch"]),
+  )
+  .addOption(
+    new Option(
+      "--order <order>",
+      "Upgrade files by path or with the fewest changes first with --max-files or --max-changes (default: path)",
+    ).choices(["path", "changes"]),
+  )
+  .option(
+    "--jobs <n>",
+    "Number of files to process in parallel (default: number of CPUs)",
+    parsePositiveInteger,
+  )
+  .option(
+    "--no-cache",
+    "Process all files, including files that were up to date before",
+  )
   .action(async (files, options) => {
     await cliRunner.run(files, options)
   })
 
-program.parse()
+program.parse(await separateRefs(process.argv, cliRunner.git))
@@ -0,0 +1,104 @@
+import { createHash } from "crypto"
+import fs from "fs/promises"
+import path from "path"
+import process from "node:process"
+import pkg from "../package.json" with { type: "json" }
+import { listTransformers } from "./index.js"
+
+/**
+ * Directory of the cache, relative to the working directory.
+ */
+export const CACHE_DIRECTORY = path.join("node_modules", ".cache", "esupgrade")
+
+/**
+ * Files that are known to be up to date, stored in `node_modules/.cache/esupgrade`.
+ *
+ * A file is up to date if it has the same content and would be transformed by the
+ * same esupgrade version and transformers as when it was last found up to date.
+ *
+ * @property {string} file - Path of the cache file.
+ * @property {Map<string, string>} entries - Keys of up-to-date files by absolute path.
+ */
+export class Cache {
+  /**
+   * @param {string} file - Path of the cache file.
+   * @param {Object<string, string>} [entries] - Keys of up-to-date files by absolute path.
+   */
+  constructor(file, entries = {}) {
+    this.file = file
+    this.entries = new Map(Object.entries(entries))
+  }
+
+  /**
+   * Read the cache of a directory.
+   *
+   * @param {string} [directory] - Directory containing `node_modules`.
+   * @returns {Promise<Cache>} Cache, empty if it is missing or unreadable.
+   */
+  static async load(directory = process.cwd()) {
+    const file = path.join(directory, CACHE_DIRECTORY, "files.json")
+    try {
+      return new Cache(file, JSON.parse(await fs.readFile(file, "utf8")))
+    } catch {
+      return new Cache(file)
+    }
+  }
+
+  /**
+   * Compute the key of a file's content, the transformers applied to it, the
+   * parser given on the command line and the lines that may be changed.
+   *
+   * @param {string} code - Content of the file.
+   * @param {import("./index.js").TransformOptions} options - Transformation options.
+   * @returns {string} SHA-256 hash.
+   */
+  key(code, options) {
+    return createHash("sha256")
+      .update(
+        JSON.stringify([
+          pkg.version,
+          options.parser,
+          options.lines,
+          listTransformers(options),
+          code,
+        ]),
+      )
+      .digest("hex")
+  }
+
+  /**
+   * Check if a file was up to date with the same key.
+   *
+   * @param {string} filePath - Path of the file.
+   * @param {string} key - Key of the file's content and transformers.
+   * @returns {boolean} True if the file can be skipped.
+   */
+  isUpToDate(filePath, key) {
+    return this.entries.get(path.resolve(filePath)) === key
+  }
+
+  /**
+   * Remember that a file is up to date, or forget it if the key is missing.
+   *
+   * @param {string} filePath - Path of the file.
+   * @param {string} [key] - Key of the file's content and transformers.
+   */
+  update(filePath, key) {
+    if (key) {
+      this.entries.set(path.resolve(filePath), key)
+    } else {
+      this.entries.delete(path.resolve(filePath))
+    }
+  }
+
+  /**
+   * Write the cache to disk.
+   *
+   * @returns {Promise<void>} Complete when the cache is written.
+   * @throws {Error} If the cache file cannot be written.
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true })
+    await fs.writeFile(this.file, JSON.stringify(Object.fromEntries(this.entries)))
+  }
+}
@@ -0,0 +1,251 @@
+import { diffLines } from "diff"
+
+/**
+ * Contiguous block of changed lines.
+ *
+ * Insertions between two lines span both surrounding lines.
+ *
+ * @typedef {Object} Change
+ * @property {number} start - First affected line of the original text, 1-based.
+ * @property {number} end - Last affected line of the original text, inclusive.
+ * @property {string} removed - Text removed from the original.
+ * @property {string} added - Text inserted in its place.
+ */
+
+/**
+ * Line and column in a text, both 1-based.
+ *
+ * @typedef {Object} Position
+ * @property {number} line - Line number.
+ * @property {number} column - Column number.
+ */
+
+/**
+ * Change narrowed to the characters that differ.
+ *
+ * @typedef {Object} Edit
+ * @property {Position} start - Position of the first replaced character in the original text.
+ * @property {Position} end - Position after the last replaced character in the original text.
+ * @property {string} removed - Text removed from the original.
+ * @property {string} added - Text inserted in its place.
+ */
+
+/**
+ * Count the length of the common prefix of two strings.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Number of leading characters both strings share.
+ */
+function commonPrefixLength(a, b) {
+  const length = Math.min(a.length, b.length)
+  const index = [...Array(length).keys()].find((i) => a[i] !== b[i])
+  return index ?? length
+}
+
+/**
+ * Line-based changes between two versions of a source text.
+ *
+ * @property {string} original - Original text.
+ * @property {Change[]} changes - All changes in order of appearance.
+ */
+export class ChangeSet {
+  /**
+   * @param {string} original - Original text.
+   * @param {string} modified - Modified text.
+   */
+  constructor(original, modified) {
+    this.original = original
+    this.segments = [...this.#segment(diffLines(original, modified))]
+    this.changes = this.segments.filter((segment) => segment.unchanged === undefined)
+  }
+
+  /**
+   * Build the text with only the accepted changes applied.
+   *
+   * @param {function(Change): boolean} accept - Predicate selecting changes to apply.
+   * @returns {string} Original text with the accepted changes applied.
+   */
+  apply(accept) {
+    return this.segments
+      .map((segment) => {
+        if (segment.unchanged !== undefined) {
+          return segment.unchanged
+        }
+        return accept(segment) ? segment.added : segment.removed
+      })
+      .join("")
+  }
+
+  /**
+   * Locate all changes in the original text, narrowed to the characters that differ.
+   *
+   * @returns {Edit[]} Edits in order of appearance.
+   */
+  edits() {
+    let offset = 0
+    return this.segments.flatMap((segment) => {
+      if (segment.unchanged !== undefined) {
+        offset += segment.unchanged.length
+        return []
+      }
+
+      const { removed, added } = segment
+      const prefix = commonPrefixLength(removed, added)
+      const suffix = commonPrefixLength(
+        removed.slice(prefix).split("").reverse().join(""),
+        added.slice(prefix).split("").reverse().join(""),
+      )
+      const edit = {
+        start: this.#position(offset + prefix),
+        end: this.#position(offset + removed.length - suffix),
+        removed: removed.slice(prefix, removed.length - suffix),
+        added: added.slice(prefix, added.length - suffix),
+      }
+      offset += removed.length
+      return [edit]
+    })
+  }
+
+  /**
+   * Convert an offset in the original text to a position.
+   *
+   * @param {number} offset - Character offset.
+   * @returns {Position} Line and column of the offset.
+   */
+  #position(offset) {
+    const lines = this.original.slice(0, offset).split("\n")
+    return { line: lines.length, column: lines.at(-1).length + 1 }
+  }
+
+  /**
+   * Yield unchanged text and changes, merging adjacent additions and removals.
+   *
+   * @param {import("diff").Change[]} parts - Line diff parts.
+   * @returns {Generator<Change | {unchanged: string}>} Segments of the text.
+   */
+  *#segment(parts) {
+    let line = 1
+    let change = null
+
+    for (const part of parts) {
+      if (part.added || part.removed) {
+        change ??= { start: line, end: line - 1, removed: "", added: "" }
+        if (part.removed) {
+          change.removed += part.value
+          change.end += part.count
+          line += part.count
+        } else {
+          change.added += part.value
+        }
+        continue
+      }
+
+      if (change) {
+        yield* this.#split(change)
+        change = null
+      }
+      yield { unchanged: part.value }
+      line += part.count
+    }
+
+    if (change) {
+      yield* this.#split(change)
+    }
+  }
+
+  /**
+   * Split line-by-line replacements into single-line changes and extend pure
+   * insertions to the surrounding lines.
+   *
+   * @param {Change} change - Change to split.
+   * @returns {Generator<Change>} Changes with non-empty line ranges.
+   */
+  *#split(change) {
+    if (change.end < change.start) {
+      yield { ...change, start: change.start - 1, end: change.start }
+      return
+    }
+
+    const removed = change.removed.split(/(?<=\n)/)
+    const added = change.added.split(/(?<=\n)/)
+    if (removed.length !== added.length) {
+      yield change
+      return
+    }
+    yield* removed.map((text, index) => ({
+      start: change.start + index,
+      end: change.start + index,
+      removed: text,
+      added: added[index],
+    }))
+  }
+}
+
+/**
+ * Lines of the original text that a transformer changed.
+ *
+ * @typedef {Object} LineRange
+ * @property {string} [name] - Name of the transformer.
+ * @property {number} [pass] - Pass the transformer was applied in, 1-based.
+ * @property {number} start - First original line, 1-based.
+ * @property {number} end - Last original line, inclusive.
+ */
+
+/**
+ * Transformers that made a change and the pass the change was first made in.
+ *
+ * @typedef {Object} Attribution
+ * @property {string[]} transformers - Transformer names in order of application.
+ * @property {number} [pass] - First pass that changed any of the lines, 1-based, or
+ *   undefined if no recorded change touched them.
+ */
+
+/**
+ * Transformers that changed each line of a text over a series of passes.
+ *
+ * @property {LineRange[]} touched - Original lines changed by each transformer.
+ * @property {number} pass - Current pass, 0 before the first pass.
+ */
+export class LineHistory {
+  constructor() {
+    this.touched = []
+    this.pass = 0
+  }
+
+  /**
+   * Attribute the following changes to the next pass.
+   */
+  startPass() {
+    this.pass += 1
+  }
+
+  /**
+   * Record the original lines a transformer changed in the current pass.
+   *
+   * @param {string} name - Name of the transformer.
+   * @param {LineRange[]} ranges - Changed original lines.
+   */
+  record(name, ranges) {
+    this.touched.push(
+      ...ranges.map(({ start, end }) => ({ name, pass: this.pass, start, end })),
+    )
+  }
+
+  /**
+   * Attribute a change to the original text to the transformers that changed any of
+   * its lines.
+   *
+   * @param {Change} change - Change to the original text.
+   * @returns {Attribution} Transformers and pass of the change.
+   */
+  attribute(change) {
+    const touched = this.touched.filter(
+      ({ start, end }) => start <= change.end && change.start <= end,
+    )
+    return {
+      transformers: [...new Set(touched.map(({ name }) => name))],
+      ...(touched.length > 0 && { pass: Math.min(...touched.map(({ pass }) => pass)) }),
+    }
+  }
+}
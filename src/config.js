@@ -0,0 +1,234 @@
+import fs from "fs/promises"
+import path from "path"
+import process from "node:process"
+import { pathToFileURL } from "url"
+import { validateBaseline, validateRules } from "./index.js"
+
+/**
+ * Name of the configuration module looked up in every parent directory.
+ */
+export const CONFIG_FILE = "esupgrade.config.js"
+
+const SETTINGS = new Set(["baseline", "include", "exclude", "rules", "overrides"])
+const OVERRIDE_SETTINGS = new Set(["files", "baseline", "rules"])
+
+/**
+ * Merge rules, adding up the disabled transformers.
+ *
+ * @param {{only?: string[], disable?: string[]}} rules - Rules so far.
+ * @param {{only?: string[], disable?: string[]}} [override] - Rules taking precedence.
+ * @returns {{only?: string[], disable?: string[]}} Merged rules.
+ */
+function mergeRules(rules, override = {}) {
+  const merged = { ...rules, ...override }
+  if (rules.disable && override.disable) {
+    merged.disable = [...new Set([...rules.disable, ...override.disable])]
+  }
+  return merged
+}
+
+/**
+ * Settings applied to a single file.
+ *
+ * @typedef {Object} FileSettings
+ * @property {string | number} [baseline] - Baseline level or year for transformations.
+ * @property {{only?: string[], disable?: string[]}} [rules] - Transformers to enable or disable.
+ */
+
+/**
+ * Project settings read from `esupgrade.config.js` or the `esupgrade` key of a `package.json`.
+ *
+ * @property {Object} settings - Raw project settings.
+ * @property {string} directory - Directory that relative patterns are resolved against.
+ */
+export class Configuration {
+  /**
+   * @param {Object} [settings] - Project settings.
+   * @param {string} [directory] - Directory that relative patterns are resolved against.
+   * @throws {Error} If the settings contain unknown keys, baselines or transformer names.
+   */
+  constructor(settings = {}, directory = process.cwd()) {
+    this.#validate(settings, SETTINGS, "configuration")
+    this.#validateList(settings.include, "include")
+    this.#validateList(settings.exclude, "exclude")
+    this.#validateRules(settings.rules, "rules")
+    validateBaseline(settings.baseline)
+    if (settings.overrides !== undefined && !Array.isArray(settings.overrides)) {
+      throw new Error("Invalid configuration option overrides: expected an array")
+    }
+    for (const [index, override] of (settings.overrides ?? []).entries()) {
+      this.#validate(override, OVERRIDE_SETTINGS, "override")
+      if (override.files === undefined) {
+        throw new Error(`Missing configuration option overrides[${index}].files`)
+      }
+      this.#validateList(override.files, `overrides[${index}].files`)
+      this.#validateRules(override.rules, `overrides[${index}].rules`)
+      validateBaseline(override.baseline)
+    }
+    this.settings = settings
+    this.directory = directory
+  }
+
+  /**
+   * Find the closest configuration in a directory or any of its parents.
+   *
+   * In each directory, `esupgrade.config.js` takes precedence over the `esupgrade` key
+   * of a `package.json` file.
+   *
+   * @param {string} [directory] - Directory to start the search from.
+   * @returns {Promise<Configuration>} Closest configuration, or an empty configuration.
+   */
+  static async load(directory = process.cwd()) {
+    const settings =
+      (await Configuration.#importModule(directory)) ??
+      (await Configuration.#readPackage(directory))
+    if (settings) {
+      return new Configuration(settings, directory)
+    }
+
+    const parent = path.dirname(directory)
+    return parent === directory ? new Configuration() : Configuration.load(parent)
+  }
+
+  /**
+   * Check if a file is selected by the include and exclude patterns.
+   *
+   * @param {string} filePath - Path of the file.
+   * @returns {boolean} True if the file should be processed.
+   */
+  includes(filePath) {
+    const { include, exclude = [] } = this.settings
+    return (
+      (!include || this.#matches(filePath, include)) &&
+      !this.#matches(filePath, exclude)
+    )
+  }
+
+  /**
+   * Resolve the settings for a file, applying all matching overrides in order.
+   *
+   * Later baselines and `only` rules replace earlier ones, while disabled transformers
+   * add up.
+   *
+   * @param {string} [filePath] - Path of the file, omitted for stdin.
+   * @param {FileSettings} [commandLine] - Settings taking precedence over all overrides.
+   * @returns {FileSettings} Settings for the file.
+   */
+  resolve(filePath, commandLine = {}) {
+    const { baseline, rules, overrides = [] } = this.settings
+    return [
+      ...overrides.filter(
+        (override) => filePath && this.#matches(filePath, override.files),
+      ),
+      commandLine,
+    ].reduce(
+      (settings, override) => ({
+        baseline: override.baseline ?? settings.baseline,
+        rules: mergeRules(settings.rules, override.rules),
+      }),
+      { baseline, rules: { ...rules } },
+    )
+  }
+
+  /**
+   * Check if a file matches any glob pattern relative to the configuration directory.
+   *
+   * @param {string} filePath - Path of the file.
+   * @param {string[]} patterns - Glob patterns.
+   * @returns {boolean} True if any pattern matches.
+   */
+  #matches(filePath, patterns) {
+    const relativePath = path
+      .relative(this.directory, path.resolve(filePath))
+      .split(path.sep)
+      .join("/")
+    return patterns.some((pattern) => path.posix.matchesGlob(relativePath, pattern))
+  }
+
+  /**
+   * Reject unknown settings.
+   *
+   * @param {Object} settings - Settings to validate.
+   * @param {Set<string>} allowed - Known setting names.
+   * @param {string} label - Name of the settings in error messages.
+   * @throws {Error} If the settings contain unknown keys.
+   */
+  #validate(settings, allowed, label) {
+    const unknown = Object.keys(settings).filter((key) => !allowed.has(key))
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown ${label} option${unknown.length === 1 ? "" : "s"}: ${unknown.join(", ")}. Valid options: ${[...allowed].join(", ")}`,
+      )
+    }
+  }
+
+  /**
+   * Reject settings that are not lists of strings.
+   *
+   * @param {unknown} value - Value of the setting, if any.
+   * @param {string} key - Name of the setting in error messages.
+   * @throws {Error} If the value is set and not an array of strings.
+   */
+  #validateList(value, key) {
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) || value.some((item) => typeof item !== "string"))
+    ) {
+      throw new Error(
+        `Invalid configuration option ${key}: expected an array of strings, got ${JSON.stringify(value)}`,
+      )
+    }
+  }
+
+  /**
+   * Reject rules that are not lists of known transformers.
+   *
+   * @param {unknown} rules - Rules, if any.
+   * @param {string} key - Name of the rules in error messages.
+   * @throws {Error} If the rules are invalid.
+   */
+  #validateRules(rules, key) {
+    if (rules === undefined) {
+      return
+    }
+    if (typeof rules !== "object" || rules === null || Array.isArray(rules)) {
+      throw new Error(`Invalid configuration option ${key}: expected an object`)
+    }
+    this.#validateList(rules.only, `${key}.only`)
+    this.#validateList(rules.disable, `${key}.disable`)
+    validateRules(rules)
+  }
+
+  /**
+   * Import the default export of `esupgrade.config.js` in a directory.
+   *
+   * @param {string} directory - Directory to look in.
+   * @returns {Promise<Object | undefined>} Settings, or undefined if there is no file.
+   */
+  static async #importModule(directory) {
+    const configPath = path.join(directory, CONFIG_FILE)
+    try {
+      await fs.access(configPath)
+    } catch {
+      return undefined
+    }
+    const module = await import(pathToFileURL(configPath).href)
+    return module.default ?? {}
+  }
+
+  /**
+   * Read the `esupgrade` key of `package.json` in a directory.
+   *
+   * @param {string} directory - Directory to look in.
+   * @returns {Promise<Object | undefined>} Settings, or undefined if there is no key.
+   */
+  static async #readPackage(directory) {
+    let content
+    try {
+      content = await fs.readFile(path.join(directory, "package.json"), "utf8")
+    } catch {
+      return undefined
+    }
+    return JSON.parse(content).esupgrade
+  }
+}
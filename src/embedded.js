@@ -0,0 +1,230 @@
+import path from "path"
+import { ChangeSet } from "./changes.js"
+import { extractFrontmatter, extractScripts } from "./embedded/components.js"
+import { extractInlineScripts } from "./embedded/html.js"
+import { extractCodeBlocks } from "./embedded/markdown.js"
+import { transform } from "./index.js"
+
+/**
+ * Script embedded in a file of another language, e.g. a component.
+ *
+ * @typedef {Object} Block
+ * @property {number} start - Offset of the first character of the script.
+ * @property {number} end - Offset after the last character of the script.
+ * @property {string} parser - Parser name, see {@link import('./parsers.js').PARSERS}.
+ * @property {boolean} [template] - Whether a template may reassign top-level bindings.
+ * @property {'module' | 'script'} [sourceType] - Whether the script is a module or a
+ *   classic script.
+ * @property {boolean} [skipInvalid] - Whether to leave the script unchanged with a
+ *   warning if it cannot be parsed, e.g. for examples in documentation.
+ */
+
+/**
+ * Result of transforming the embedded scripts of a file.
+ *
+ * @typedef {import('./index.js').TransformResult & {warnings: string[]}} EmbeddedResult
+ */
+
+/**
+ * Functions extracting the embedded scripts of a file, by file extension.
+ *
+ * @type {Object<string, function(string): Block[]>}
+ */
+export const EXTRACTORS = {
+  ".astro": extractFrontmatter,
+  ".htm": extractInlineScripts,
+  ".html": extractInlineScripts,
+  ".md": extractCodeBlocks,
+  ".mdx": extractCodeBlocks,
+  ".svelte": extractScripts,
+  ".vue": extractScripts,
+}
+
+/**
+ * Find the extractor of embedded scripts for a file.
+ *
+ * @param {string | undefined} filePath - Path of the file, omitted for stdin.
+ * @returns {(function(string): Block[]) | undefined} Extractor, or undefined if the
+ *   file is a script itself.
+ */
+export function findExtractor(filePath) {
+  const extension = filePath && path.extname(filePath)
+  return extension && Object.hasOwn(EXTRACTORS, extension)
+    ? EXTRACTORS[extension]
+    : undefined
+}
+
+/**
+ * Compare two positions.
+ *
+ * @param {import('./changes.js').Position} a - First position.
+ * @param {import('./changes.js').Position} b - Second position.
+ * @returns {number} Negative if a is before b, positive if after, else zero.
+ */
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column
+}
+
+/**
+ * Move a position in a block to the file containing the block.
+ *
+ * @param {import('./changes.js').Position} position - Position in the block.
+ * @param {import('./changes.js').Position} origin - Position of the block in the file.
+ * @returns {import('./changes.js').Position} Position in the file.
+ */
+function movePosition({ line, column }, origin) {
+  return {
+    line: line + origin.line - 1,
+    column: line === 1 ? column + origin.column - 1 : column,
+  }
+}
+
+/**
+ * Move the location of a syntax error in a block to the file containing the block.
+ *
+ * @param {SyntaxError & {loc: {line: number, column: number}}} error - Error with a
+ *   0-based column in its location and message.
+ * @param {import('./changes.js').Position} origin - Position of the block in the file.
+ * @returns {SyntaxError} Error with the location in the file.
+ */
+function moveSyntaxError(error, origin) {
+  const { line, column } = movePosition(
+    { line: error.loc.line, column: error.loc.column + 1 },
+    origin,
+  )
+  const moved = new SyntaxError(
+    error.message.replace(/\(\d+:\d+\)$/, `(${line}:${column - 1})`),
+    { cause: error },
+  )
+  moved.loc = { line, column: column - 1 }
+  return moved
+}
+
+/**
+ * Transform a block of a file.
+ *
+ * The script is transformed with line feeds, and Windows line breaks are restored
+ * afterwards.
+ *
+ * @param {string} code - Content of the file.
+ * @param {Block} block - Script to transform.
+ * @param {import('./index.js').TransformOptions} options - Transformation options.
+ * @returns {EmbeddedResult} Transformed script, with changes and warnings at positions
+ *   in the file.
+ * @throws {Error} If the script cannot be parsed or transformed, with syntax errors at
+ *   positions in the file.
+ */
+function transformBlock(code, block, options) {
+  const lines = code.slice(0, block.start).split("\n")
+  const origin = { line: lines.length, column: lines.at(-1).length + 1 }
+  const script = code.slice(block.start, block.end)
+  const lineBreak = script.includes("\r\n") ? "\r\n" : "\n"
+  let result
+  try {
+    result = transform(script.replaceAll("\r\n", "\n"), {
+      ...options,
+      parser: options.parser ?? block.parser,
+      template: block.template,
+      sourceType: block.sourceType,
+      lines: options.lines?.map(({ start, end }) => ({
+        start: start - origin.line + 1,
+        end: end - origin.line + 1,
+      })),
+    })
+  } catch (error) {
+    if (!error.loc) {
+      throw error
+    }
+    const syntaxError = moveSyntaxError(error, origin)
+    if (!block.skipInvalid) {
+      throw syntaxError
+    }
+    return {
+      code: script,
+      modified: false,
+      transformers: [],
+      changes: [],
+      passes: [],
+      warnings: [`Skipped code that cannot be parsed: ${syntaxError.message}`],
+    }
+  }
+  return {
+    ...result,
+    code: result.code.replaceAll("\n", lineBreak),
+    warnings: [],
+    changes: result.changes.map((change) => ({
+      ...change,
+      start: movePosition(change.start, origin),
+      end: movePosition(change.end, origin),
+    })),
+  }
+}
+
+/**
+ * Transform the embedded scripts of a file and put the results back in place.
+ *
+ * Each script is transformed on its own, with the parser of the block unless a parser
+ * is given. Changes are reported with positions in the file and attributed to the
+ * transformers of the overlapping changes in the scripts.
+ *
+ * Scripts that may be invalid are left unchanged with a warning if they cannot be
+ * parsed.
+ *
+ * @param {string} code - Content of the file.
+ * @param {Block[]} blocks - Scripts of the file in order of appearance.
+ * @param {import('./index.js').TransformOptions} [options] - Transformation options.
+ * @returns {EmbeddedResult} Transformed file, applied transformers, changes and
+ *   warnings.
+ * @throws {Error} If a script cannot be parsed or transformed, with syntax errors at
+ *   positions in the file.
+ */
+export function transformEmbedded(code, blocks, options = {}) {
+  const results = blocks.map((block) => ({
+    ...transformBlock(code, block, options),
+    block,
+  }))
+
+  const output = results.reduceRight(
+    (text, { block, code: script }) =>
+      text.slice(0, block.start) + script + text.slice(block.end),
+    code,
+  )
+  const changes = results.flatMap((result) => result.changes)
+  return {
+    code: output,
+    modified: results.some((result) => result.modified),
+    transformers: [...new Set(results.flatMap((result) => result.transformers))],
+    changes: new ChangeSet(code, output).edits().map((edit) => {
+      const overlapping = changes.filter(
+        (change) =>
+          comparePositions(change.start, edit.end) <= 0 &&
+          comparePositions(edit.start, change.end) <= 0,
+      )
+      const passes = overlapping
+        .map((change) => change.pass)
+        .filter((pass) => pass !== undefined)
+      return {
+        ...edit,
+        transformers: [
+          ...new Set(overlapping.flatMap((change) => change.transformers)),
+        ],
+        ...(passes.length > 0 && { pass: Math.min(...passes) }),
+      }
+    }),
+    passes: Array.from(
+      { length: Math.max(0, ...results.map((result) => result.passes.length)) },
+      (_, index) => ({
+        transformers: [
+          ...new Set(
+            results.flatMap((result) => result.passes[index]?.transformers ?? []),
+          ),
+        ],
+        duration: results.reduce(
+          (sum, result) => sum + (result.passes[index]?.duration ?? 0),
+          0,
+        ),
+      }),
+    ),
+    warnings: results.flatMap((result) => result.warnings),
+  }
+}
@@ -0,0 +1,60 @@
+import { topLevelElements } from "./markup.js"
+
+/**
+ * Parser names by script language.
+ */
+const LANGUAGES = {
+  "": "babel",
+  js: "babel",
+  jsx: "babel",
+  ts: "ts",
+  tsx: "tsx",
+  typescript: "ts",
+}
+
+/**
+ * Frontmatter fence at the start of an Astro component.
+ */
+const FRONTMATTER =
+  /^\s*---[^\S\r\n]*(\r?\n(?:[\s\S]*?\r?\n)?)---[^\S\r\n]*(?:\r?\n|$)/d
+
+/**
+ * Extract the top-level `<script>` blocks of a Vue or Svelte component.
+ *
+ * This includes `<script setup>` in Vue and `<script context="module">` in Svelte.
+ * Scripts with a `src` attribute or in other languages are skipped. The template of
+ * the component may reassign the top-level bindings of its scripts.
+ *
+ * @param {string} code - Content of the component.
+ * @returns {import('../embedded.js').Block[]} Scripts of the component.
+ */
+export function extractScripts(code) {
+  return [...topLevelElements(code)]
+    .filter(
+      ({ name, attributes }) =>
+        name === "script" &&
+        !attributes.has("src") &&
+        Object.hasOwn(LANGUAGES, attributes.get("lang") ?? ""),
+    )
+    .map(({ attributes, start, end }) => ({
+      start,
+      end,
+      parser: LANGUAGES[attributes.get("lang") ?? ""],
+      template: true,
+    }))
+}
+
+/**
+ * Extract the TypeScript frontmatter of an Astro component.
+ *
+ * @param {string} code - Content of the component.
+ * @returns {import('../embedded.js').Block[]} Frontmatter, if the component has any.
+ */
+export function extractFrontmatter(code) {
+  const match = FRONTMATTER.exec(code)
+  if (!match) {
+    return []
+  }
+  const [start, end] = match.indices[1]
+  return [{ start, end, parser: "ts" }]
+}
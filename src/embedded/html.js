@@ -0,0 +1,47 @@
+import { rawTextElements } from "./markup.js"
+
+/**
+ * Source types by script type.
+ */
+const SOURCE_TYPES = {
+  "": "script",
+  "text/javascript": "script",
+  "application/javascript": "script",
+  module: "module",
+}
+
+/**
+ * Normalize the type of a script.
+ *
+ * @param {Map<string, string>} attributes - Attributes of the script.
+ * @returns {string} Type in lower case, empty if omitted.
+ */
+function scriptType(attributes) {
+  return (attributes.get("type") ?? "").trim().toLowerCase()
+}
+
+/**
+ * Extract the inline scripts of an HTML document.
+ *
+ * Scripts with a `src` attribute or a type other than JavaScript, e.g. JSON or
+ * templates, are skipped. Classic scripts share their top-level bindings with all
+ * other scripts of the document.
+ *
+ * @param {string} code - Content of the document.
+ * @returns {import('../embedded.js').Block[]} Inline scripts of the document.
+ */
+export function extractInlineScripts(code) {
+  return [...rawTextElements(code)]
+    .filter(
+      ({ name, attributes }) =>
+        name === "script" &&
+        !attributes.has("src") &&
+        Object.hasOwn(SOURCE_TYPES, scriptType(attributes)),
+    )
+    .map(({ attributes, start, end }) => ({
+      start,
+      end,
+      parser: "babel",
+      sourceType: SOURCE_TYPES[scriptType(attributes)],
+    }))
+}
@@ -0,0 +1,40 @@
+/**
+ * Fenced code block, optionally preceded by a skip marker and blank lines.
+ */
+const CODE_BLOCK =
+  /^(?<marker>[ \t]*<!--\s*esupgrade-skip\s*-->[ \t]*\r?\n(?:[ \t]*\r?\n)*)?[ \t]*((`|~)\3{2,})[ \t]*(?<language>[^\s`]*)[^\n]*\n(?<code>[\s\S]*?)^[ \t]*\2\3*[ \t]*\r?$/dgm
+
+/**
+ * Parser names by code block language.
+ */
+const LANGUAGES = {
+  javascript: "babel",
+  js: "babel",
+  jsx: "babel",
+  ts: "ts",
+  tsx: "tsx",
+}
+
+/**
+ * Extract the JavaScript and TypeScript code blocks of a Markdown or MDX document.
+ *
+ * Code blocks preceded by an `<!-- esupgrade-skip -->` comment are skipped. Code blocks
+ * that cannot be parsed are left unchanged.
+ *
+ * @param {string} code - Content of the document.
+ * @returns {import('../embedded.js').Block[]} Code blocks of the document.
+ */
+export function extractCodeBlocks(code) {
+  return [...code.matchAll(CODE_BLOCK)]
+    .filter(
+      ({ groups }) =>
+        groups.marker === undefined &&
+        Object.hasOwn(LANGUAGES, groups.language.toLowerCase()),
+    )
+    .map(({ groups, indices }) => ({
+      start: indices.groups.code[0],
+      end: indices.groups.code[1],
+      parser: LANGUAGES[groups.language.toLowerCase()],
+      skipInvalid: true,
+    }))
+}
@@ -0,0 +1,122 @@
+/**
+ * Start tags and comments of HTML-like markup.
+ */
+const TAG =
+  /<!--[\s\S]*?-->|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g
+
+/**
+ * Attributes of a start tag.
+ */
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * Elements whose content is text up to their end tag.
+ */
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"])
+
+/**
+ * Element of HTML-like markup.
+ *
+ * @typedef {Object} Element
+ * @property {string} name - Tag name in lower case.
+ * @property {Map<string, string>} attributes - Attribute values by lower case name,
+ *   empty for attributes without a value.
+ * @property {number} start - Offset of the first character of the content.
+ * @property {number} end - Offset after the last character of the content.
+ */
+
+/**
+ * Parse the attributes of a start tag.
+ *
+ * @param {string} source - Attributes of the start tag.
+ * @returns {Map<string, string>} Attribute values by lower case name.
+ */
+function parseAttributes(source) {
+  return new Map(
+    [...source.matchAll(ATTRIBUTE)].map(([, name, ...values]) => [
+      name.toLowerCase(),
+      values.find((value) => value !== undefined) ?? "",
+    ]),
+  )
+}
+
+/**
+ * Find the end tag of an element, skipping nested elements of the same name.
+ *
+ * @param {string} code - Markup.
+ * @param {string} name - Tag name in lower case.
+ * @param {number} from - Offset after the start tag.
+ * @param {number} [depth] - Number of open nested elements.
+ * @returns {RegExpExecArray | null} End tag, or null if the element is not closed.
+ */
+function findEndTag(code, name, from, depth = 0) {
+  const pattern = RAW_TEXT_ELEMENTS.has(name)
+    ? new RegExp(`<(/)${name}\\s*>`, "gi")
+    : new RegExp(`<(/?)${name}(?:[\\s/][^>]*)?>`, "gi")
+  pattern.lastIndex = from
+  const tag = pattern.exec(code)
+  if (!tag || (tag[1] && depth === 0)) {
+    return tag
+  }
+  if (tag[1]) {
+    return findEndTag(code, name, pattern.lastIndex, depth - 1)
+  }
+  return findEndTag(
+    code,
+    name,
+    pattern.lastIndex,
+    depth + (tag[0].endsWith("/>") ? 0 : 1),
+  )
+}
+
+/**
+ * Yield the top-level elements of markup, e.g. the blocks of a single-file component.
+ *
+ * Comments, self-closing and unclosed elements are skipped.
+ *
+ * @param {string} code - Markup.
+ * @returns {Generator<Element>} Top-level elements in order of appearance.
+ */
+export function* topLevelElements(code) {
+  const pattern = new RegExp(TAG)
+  for (let tag = pattern.exec(code); tag; tag = pattern.exec(code)) {
+    const [source, tagName, attributes, selfClosing] = tag
+    if (tagName === undefined || selfClosing) {
+      continue
+    }
+
+    const name = tagName.toLowerCase()
+    const start = tag.index + source.length
+    const endTag = findEndTag(code, name, start)
+    if (endTag) {
+      yield { name, attributes: parseAttributes(attributes), start, end: endTag.index }
+      pattern.lastIndex = endTag.index + endTag[0].length
+    }
+  }
+}
+
+/**
+ * Yield the elements whose content is text, e.g. scripts and styles, at any depth.
+ *
+ * Comments and the content of these elements are not searched for further elements.
+ *
+ * @param {string} code - Markup.
+ * @returns {Generator<Element>} Raw text elements in order of appearance.
+ */
+export function* rawTextElements(code) {
+  const pattern = new RegExp(TAG)
+  for (let tag = pattern.exec(code); tag; tag = pattern.exec(code)) {
+    const [source, tagName, attributes] = tag
+    const name = tagName?.toLowerCase()
+    if (!RAW_TEXT_ELEMENTS.has(name)) {
+      continue
+    }
+
+    const start = tag.index + source.length
+    const endTag = findEndTag(code, name, start)
+    if (endTag) {
+      yield { name, attributes: parseAttributes(attributes), start, end: endTag.index }
+      pattern.lastIndex = endTag.index + endTag[0].length
+    }
+  }
+}
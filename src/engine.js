@@ -0,0 +1,338 @@
+import jscodeshift from "jscodeshift"
+import { performance } from "node:perf_hooks"
+import { ChangeSet, LineHistory } from "./changes.js"
+import { PARSERS } from "./parsers.js"
+import { TreeSnapshot } from "./snapshot.js"
+import { Suppressions } from "./suppressions.js"
+
+/**
+ * Transformers applied in a pass and how long the pass took.
+ *
+ * @typedef {Object} PassTiming
+ * @property {string[]} transformers - Names of the transformers that modified the code.
+ * @property {number} duration - Duration of the pass in milliseconds.
+ */
+
+/**
+ * Transformers applied in a single pass and the lines they changed.
+ *
+ * @typedef {Object} PassResult
+ * @property {string[]} applied - Names of the transformers that modified the code.
+ * @property {import('./changes.js').LineRange[]} ranges - Original lines changed in the
+ *   pass.
+ */
+
+/**
+ * Decides if a transformer may change some lines.
+ *
+ * @callback LineFilter
+ * @param {import('./changes.js').LineRange} range - Original lines.
+ * @param {string} name - Name of the transformer.
+ * @returns {boolean} True if the transformer may change the lines.
+ */
+
+/**
+ * Maximum number of passes before a transformation is considered to oscillate.
+ */
+export const MAX_PASSES = 10
+
+/**
+ * Applies transformers in passes until the code no longer changes.
+ *
+ * The code is parsed once, and all passes apply the transformers to the same AST,
+ * which is printed once at the end. The nodes each transformer changed are found by
+ * comparing {@link TreeSnapshot snapshots} of the AST, so that every change is
+ * attributed to the transformers and the pass that made it. After the first pass, only
+ * transformers that look for nodes changed in the previous pass are run again, as well
+ * as transformers that do not use `root.find`.
+ *
+ * @property {Array<[string, import('./index.js').Transformer]>} transformers - Transformer names and functions.
+ * @property {number} maxPasses - Maximum number of passes.
+ * @property {import('jscodeshift').JSCodeshift} j - jscodeshift instance.
+ * @property {import('./index.js').TransformContext} context - Context passed to every
+ *   transformer.
+ * @property {import('./changes.js').LineRange[] | undefined} lines - Original lines that
+ *   may be changed, or undefined for all lines.
+ */
+export class Engine {
+  /**
+   * Node types each transformer looks for, by transformer name.
+   *
+   * @type {Map<string, Set<import('ast-types').Type>>}
+   */
+  #nodeTypes = new Map()
+
+  /**
+   * @param {Array<[string, import('./index.js').Transformer]>} transformers - Transformer names and functions.
+   * @param {Object} [options] - Engine options.
+   * @param {number} [options.maxPasses] - Maximum number of passes.
+   * @param {string} [options.parser] - Parser name, see {@link PARSERS}.
+   * @param {import('./index.js').TransformContext} [options.context] - Context passed to
+   *   every transformer.
+   * @param {import('./changes.js').LineRange[]} [options.lines] - Original lines that may
+   *   be changed, all lines by default.
+   */
+  constructor(
+    transformers,
+    {
+      maxPasses = MAX_PASSES,
+      parser = "tsx",
+      context = { template: false },
+      lines,
+    } = {},
+  ) {
+    this.transformers = transformers
+    this.maxPasses = maxPasses
+    this.j = jscodeshift.withParser(PARSERS[parser])
+    this.context = context
+    this.lines = lines
+  }
+
+  /**
+   * Transform code with all transformers.
+   *
+   * Changes of a transformer to lines suppressed for it or outside {@link Engine#lines}
+   * are undone on the AST.
+   *
+   * @param {string} code - The source code to transform.
+   * @returns {import('./index.js').TransformResult} Transformed code, applied transformers and changes.
+   * @throws {Error} If the code cannot be parsed or the transformers still change the
+   *   code after the maximum number of passes.
+   */
+  run(code) {
+    const history = new LineHistory()
+    const root = this.j(code)
+    const suppressions = Suppressions.parse(code, root)
+    const result = this.#applyPasses(
+      root,
+      this.transformers,
+      history,
+      this.lines || !suppressions.isEmpty()
+        ? (range, name) => suppressions.allows(range, name) && this.#isInScope(range)
+        : undefined,
+    )
+
+    const output = result.applied.length > 0 ? root.toSource() : code
+    const changeSet = new ChangeSet(code, output)
+    return {
+      code: output,
+      modified: result.applied.length > 0,
+      transformers: result.applied,
+      changes: changeSet.edits().map((edit, index) => {
+        const attribution = history.attribute(changeSet.changes[index])
+        return {
+          ...edit,
+          ...attribution,
+          // Changes on lines no transformer changed a node on, e.g. parentheses added
+          // by the printer, are attributed to all transformers
+          ...(attribution.transformers.length === 0 && {
+            transformers: result.applied,
+          }),
+        }
+      }),
+      passes: result.timings,
+    }
+  }
+
+  /**
+   * Run passes recursively until a pass changes nothing.
+   *
+   * @param {import('jscodeshift').Collection} root - The root AST collection of the code.
+   * @param {Array<[string, import('./index.js').Transformer]>} transformers - Transformers to run in this pass.
+   * @param {LineHistory} history - Record of the lines changed by each transformer.
+   * @param {LineFilter} [filter] - Lines each transformer may change, all by default.
+   * @param {PassTiming[]} [timings] - Timings of the previous passes.
+   * @returns {{applied: string[], timings: PassTiming[]}} Applied transformers and pass
+   *   timings.
+   * @throws {Error} If the code still changes after the maximum number of passes.
+   */
+  #applyPasses(root, transformers, history, filter, timings = []) {
+    history.startPass()
+    const start = performance.now()
+    const pass = this.#applyPass(root, transformers, history, filter)
+    const passTimings = [
+      ...timings,
+      { transformers: pass.applied, duration: performance.now() - start },
+    ]
+
+    if (pass.applied.length === 0) {
+      return {
+        applied: [...new Set(passTimings.flatMap((timing) => timing.transformers))],
+        timings: passTimings,
+      }
+    }
+    if (passTimings.length === this.maxPasses) {
+      throw new Error(
+        `Transformers did not settle after ${this.maxPasses} passes, last changed by ${pass.applied.join(", ")}`,
+      )
+    }
+
+    return this.#applyPasses(
+      root,
+      this.#selectTouched(root, pass.ranges),
+      history,
+      filter,
+      passTimings,
+    )
+  }
+
+  /**
+   * Select the transformers that look for nodes on changed lines or without location.
+   *
+   * @param {import('jscodeshift').Collection} root - The root AST collection of the code.
+   * @param {import('./changes.js').LineRange[]} changes - Original lines changed in the
+   *   previous pass.
+   * @returns {Array<[string, import('./index.js').Transformer]>} Transformers to run.
+   */
+  #selectTouched(root, changes) {
+    const touched = new Map()
+    root.find(this.j.Node).forEach(({ node }) => {
+      if (
+        !touched.has(node.type) &&
+        (!node.loc ||
+          changes.some(
+            ({ start, end }) =>
+              node.loc.start.line <= end && start <= node.loc.end.line,
+          ))
+      ) {
+        touched.set(node.type, node)
+      }
+    })
+
+    return this.transformers.filter(
+      ([name]) =>
+        !this.#nodeTypes.get(name)?.size ||
+        [...this.#nodeTypes.get(name)].some((type) =>
+          [...touched.values()].some((node) => type.check(node)),
+        ),
+    )
+  }
+
+  /**
+   * Apply transformers to the AST.
+   *
+   * @param {import('jscodeshift').Collection} root - The root AST collection of the code.
+   * @param {Array<[string, import('./index.js').Transformer]>} transformers - Transformers to run.
+   * @param {LineHistory} history - Record of the lines changed by each transformer.
+   * @param {LineFilter} [filter] - Lines each transformer may change, all by default.
+   * @returns {PassResult} Applied transformers and changed lines.
+   */
+  #applyPass(root, transformers, history, filter) {
+    const applied = []
+    const ranges = []
+    let snapshot = new TreeSnapshot(root.get().node)
+
+    for (const [name, transformer] of transformers) {
+      if (!transformer(this.#recordNodeTypes(name, root), this.context)) {
+        continue
+      }
+      const next = new TreeSnapshot(root.get().node, snapshot.positions)
+      const changes = filter
+        ? this.#filterChanges(root, name, transformer, snapshot, next, filter)
+        : next.changes(snapshot)
+      if (!changes) {
+        continue
+      }
+      const changed = changes.flatMap((change) => change.ranges)
+      history.record(name, changed)
+      ranges.push(...changed)
+      applied.push(name)
+      // Undone changes leave the AST in neither state
+      snapshot = filter ? new TreeSnapshot(root.get().node, snapshot.positions) : next
+    }
+    return { applied, ranges }
+  }
+
+  /**
+   * Wrap the root collection to record the node types a transformer looks for.
+   *
+   * @param {string} name - Name of the transformer.
+   * @param {import('jscodeshift').Collection} root - The root AST collection.
+   * @returns {import('jscodeshift').Collection} Collection recording `find` calls.
+   */
+  #recordNodeTypes(name, root) {
+    const nodeTypes = this.#nodeTypes.get(name) ?? new Set()
+    this.#nodeTypes.set(name, nodeTypes)
+    return Object.create(root, {
+      find: {
+        value: (type, filter) => {
+          nodeTypes.add(type)
+          return root.find(type, filter)
+        },
+      },
+    })
+  }
+
+  /**
+   * Undo the changes of a transformer to lines it may not change.
+   *
+   * The remaining changes are only kept if the transformer makes no other changes when
+   * it is applied again, so that no change is separated from the changes it depends on.
+   * Otherwise, all changes of the transformer are undone for this pass.
+   *
+   * @param {import('jscodeshift').Collection} root - The root AST collection of the code.
+   * @param {string} name - Name of the transformer.
+   * @param {import('./index.js').Transformer} transformer - Transformer function.
+   * @param {TreeSnapshot} before - Snapshot before the transformer was applied.
+   * @param {TreeSnapshot} after - Snapshot after the transformer was applied.
+   * @param {LineFilter} filter - Lines each transformer may change.
+   * @returns {import('./snapshot.js').NodeChange[] | null} Kept changes, or null if
+   *   all changes were undone.
+   */
+  #filterChanges(root, name, transformer, before, after, filter) {
+    const isAllowed = (change) => change.ranges.every((range) => filter(range, name))
+    const changes = after.changes(before)
+    const denied = changes.filter((change) => !isAllowed(change))
+    if (denied.length === 0) {
+      return changes
+    }
+
+    before.restore(denied)
+    const kept = changes.filter(isAllowed)
+    if (kept.length > 0 && this.#isCompletedBy(root, transformer, before, isAllowed)) {
+      return kept
+    }
+    before.restore(changes)
+    return null
+  }
+
+  /**
+   * Check if original lines may be changed.
+   *
+   * @param {import('./changes.js').LineRange} range - Original lines.
+   * @returns {boolean} True if the lines overlap any of {@link Engine#lines}.
+   */
+  #isInScope({ start, end }) {
+    return (
+      !this.lines ||
+      this.lines.some((range) => range.start <= end && start <= range.end)
+    )
+  }
+
+  /**
+   * Check if a transformer only redoes denied changes to partially transformed code,
+   * and undo them again.
+   *
+   * @param {import('jscodeshift').Collection} root - The root AST collection of the
+   *   partially transformed code.
+   * @param {import('./index.js').Transformer} transformer - Transformer function.
+   * @param {TreeSnapshot} before - Snapshot before the transformer was applied.
+   * @param {function(import('./snapshot.js').NodeChange): boolean} isAllowed - Check if
+   *   a change is allowed.
+   * @returns {boolean} True if applying the transformer again only makes denied changes.
+   */
+  #isCompletedBy(root, transformer, before, isAllowed) {
+    const partial = new TreeSnapshot(root.get().node, before.positions)
+    try {
+      transformer(root, this.context)
+    } catch {
+      partial.restore(
+        new TreeSnapshot(root.get().node, before.positions).changes(partial),
+      )
+      return false
+    }
+    const redone = new TreeSnapshot(root.get().node, before.positions).changes(partial)
+    partial.restore(redone)
+    return redone.length > 0 && !redone.some(isAllowed)
+  }
+}
@@ -0,0 +1,468 @@
+import fs from "fs/promises"
+import path from "path"
+import process from "node:process"
+
+/**
+ * File extensions picked up when walking directories.
+ *
+ * Documents with embedded scripts, like HTML and Markdown, are only upgraded if they
+ * are passed explicitly or match a glob pattern.
+ */
+export const SUPPORTED_EXTENSIONS = new Set([
+  ".js",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".mjs",
+  ".cjs",
+  ".vue",
+  ".svelte",
+  ".astro",
+])
+
+/**
+ * Directory names skipped when walking directories.
+ */
+const IGNORED_DIRECTORIES = new Set(["node_modules"])
+
+/**
+ * Ignore files read from each directory, in order of precedence.
+ */
+const IGNORE_FILES = [".gitignore", ".esupgradeignore"]
+
+const GLOB_CHARACTERS = /[*?[\]{}]/
+
+/**
+ * Check if a directory should be descended into.
+ *
+ * @param {string} name - Directory name.
+ * @returns {boolean} True unless the directory is ignored by default.
+ */
+function isTraversable(name) {
+  return !IGNORED_DIRECTORIES.has(name) && !name.startsWith(".")
+}
+
+/**
+ * Get the directory named by the static part of a glob pattern.
+ *
+ * @param {string} pattern - Glob pattern.
+ * @returns {string} Directory before the first segment with glob characters.
+ */
+function getGlobBase(pattern) {
+  const prefix = pattern.slice(0, pattern.search(GLOB_CHARACTERS))
+  return /[/\\]$/.test(prefix) ? prefix : path.dirname(prefix)
+}
+
+/**
+ * Check if a path is a directory or within it.
+ *
+ * @param {string} directory - Absolute path of the directory.
+ * @param {string} filePath - Absolute path.
+ * @returns {boolean} True if the path is the directory or within it.
+ */
+function isWithin(directory, filePath) {
+  const relativePath = path.relative(directory, filePath)
+  return relativePath.split(path.sep)[0] !== ".." && !path.isAbsolute(relativePath)
+}
+
+/**
+ * Find the root directory of the git repository containing a directory.
+ *
+ * @param {string} directory - Absolute path of the directory.
+ * @returns {Promise<string | undefined>} Absolute path of the repository root, or
+ *   undefined outside a repository.
+ */
+async function findRepositoryRoot(directory) {
+  for (let current = directory; ; current = path.dirname(current)) {
+    try {
+      await fs.stat(path.join(current, ".git"))
+      return current
+    } catch {
+      if (path.dirname(current) === current) {
+        return undefined
+      }
+    }
+  }
+}
+
+/**
+ * Ignore patterns using the `.gitignore` syntax.
+ *
+ * Patterns without a slash match at any depth, patterns ending with a slash only
+ * match directories, and later patterns take precedence, including negated ones.
+ * Patterns of ignore files apply to the directory containing the file, and files in
+ * subdirectories take precedence over the files in their parent directories.
+ *
+ * @property {string} root - Directory of the additional lines, which relative paths
+ *   are resolved against.
+ * @property {Array<{glob: string, negated: boolean, directoryOnly: boolean, base: string, depth: number}>} rules -
+ *   Parsed rules in order of precedence, with the absolute path of their directory.
+ */
+export class IgnoreRules {
+  /**
+   * Directories whose ignore files have been read.
+   * @type {Set<string>}
+   */
+  #loaded = new Set()
+
+  /**
+   * @param {string[]} lines - Lines in `.gitignore` syntax, taking precedence over
+   *   ignore files.
+   * @param {string} [root] - Directory the lines apply to.
+   */
+  constructor(lines, root = process.cwd()) {
+    this.root = path.resolve(root)
+    this.rules = []
+    this.#add(lines, this.root, Infinity)
+  }
+
+  /**
+   * Read `.gitignore` and `.esupgradeignore` from a directory and its parent
+   * directories up to the root of the git repository containing it.
+   *
+   * @param {string} directory - Directory containing the ignore files.
+   * @param {string[]} [lines] - Additional lines taking precedence over the files.
+   * @returns {Promise<IgnoreRules>} Rules from all ignore files.
+   */
+  static async load(directory, lines = []) {
+    const rules = new IgnoreRules(lines, directory)
+    await rules.loadDirectories(rules.root)
+    return rules
+  }
+
+  /**
+   * Read the ignore files of a directory and of its parent directories up to the root
+   * of the git repository containing it, unless they have been read before.
+   *
+   * Outside a repository, the parent directories up to the root are read, or none for
+   * directories outside the root.
+   *
+   * @param {string} directory - Absolute path of the directory.
+   * @returns {Promise<void>} Resolves once the ignore files are read.
+   */
+  async loadDirectories(directory) {
+    if (this.#loaded.has(directory)) {
+      return
+    }
+    const top = this.#loaded.has(path.dirname(directory))
+      ? directory
+      : ((await findRepositoryRoot(directory)) ??
+        (isWithin(this.root, directory) ? this.root : directory))
+    const segments = path.relative(top, directory).split(path.sep).filter(Boolean)
+    for (let depth = 0; depth <= segments.length; depth++) {
+      const current = path.join(top, ...segments.slice(0, depth))
+      if (this.#loaded.has(current)) {
+        continue
+      }
+      this.#loaded.add(current)
+      const contents = await Promise.all(
+        IGNORE_FILES.map((name) =>
+          fs.readFile(path.join(current, name), "utf8").catch(() => ""),
+        ),
+      )
+      this.#add(
+        contents.join("\n").split(/\r?\n/),
+        current,
+        current.split(path.sep).filter(Boolean).length,
+      )
+    }
+  }
+
+  /**
+   * Check if a path is ignored.
+   *
+   * @param {string} filePath - Absolute path or path relative to the root.
+   * @param {boolean} [isDirectory] - Whether the path is a directory.
+   * @returns {boolean} True if the last matching pattern is not negated.
+   */
+  isIgnored(filePath, isDirectory = false) {
+    const resolved = path.resolve(this.root, filePath)
+    return this.rules.reduce(
+      (ignored, rule) =>
+        this.#matches(rule, resolved, isDirectory) ? !rule.negated : ignored,
+      false,
+    )
+  }
+
+  /**
+   * Add the rules of lines, ordered by the depth of their directory.
+   *
+   * @param {string[]} lines - Lines in `.gitignore` syntax.
+   * @param {string} base - Absolute path of the directory the lines apply to.
+   * @param {number} depth - Precedence of the lines, higher taking precedence.
+   */
+  #add(lines, base, depth) {
+    this.rules.push(
+      ...lines
+        .map((line) => this.#parse(line))
+        .filter(Boolean)
+        .map((rule) => ({ ...rule, base, depth })),
+    )
+    this.rules.sort((a, b) => a.depth - b.depth)
+  }
+
+  /**
+   * Check if a rule matches a path or any of its parent directories within the
+   * directory of the rule.
+   *
+   * @param {{glob: string, directoryOnly: boolean, base: string}} rule - Parsed
+   *   ignore rule.
+   * @param {string} filePath - Absolute path.
+   * @param {boolean} isDirectory - Whether the path is a directory.
+   * @returns {boolean} True if the rule matches.
+   */
+  #matches(rule, filePath, isDirectory) {
+    if (filePath === rule.base || !isWithin(rule.base, filePath)) {
+      return false
+    }
+    const segments = path.relative(rule.base, filePath).split(path.sep)
+    return segments.some(
+      (_, index) =>
+        (!rule.directoryOnly || isDirectory || index < segments.length - 1) &&
+        path.posix.matchesGlob(segments.slice(0, index + 1).join("/"), rule.glob),
+    )
+  }
+
+  /**
+   * Parse a single line of an ignore file.
+   *
+   * @param {string} line - Line in `.gitignore` syntax.
+   * @returns {{glob: string, negated: boolean, directoryOnly: boolean} | null} Rule,
+   *   or null for blank lines and comments.
+   */
+  #parse(line) {
+    let pattern = line.trim()
+    if (pattern === "" || pattern.startsWith("#")) {
+      return null
+    }
+
+    const negated = pattern.startsWith("!")
+    pattern = pattern.replace(/^!/, "").replace(/^\\/, "")
+    const directoryOnly = pattern.endsWith("/")
+    pattern = pattern.replace(/\/$/, "")
+    const anchored = pattern.includes("/")
+
+    return {
+      glob: anchored ? pattern.replace(/^\//, "") : `**/${pattern}`,
+      negated,
+      directoryOnly,
+    }
+  }
+}
+
+/**
+ * Discovery of source files from CLI arguments.
+ */
+export class FileFinder {
+  /**
+   * @param {string} [root] - Directory that relative patterns are resolved against.
+   */
+  constructor(root = process.cwd()) {
+    this.root = root
+  }
+
+  /**
+   * Resolve files, directories and glob patterns to a deduplicated list of files.
+   *
+   * Directories are walked recursively, skipping `node_modules` and dot-directories.
+   * Glob patterns are expanded in alphabetical order. Patterns starting with `!`
+   * exclude matching files. Files ignored by `.gitignore` or `.esupgradeignore` in
+   * their directory or any parent directory within the git repository are skipped.
+   *
+   * @param {string[]} patterns - File paths, directory paths or glob patterns.
+   * @param {Object} [options] - Find options.
+   * @param {(pattern: string) => void} [options.onUnmatched] - Called for each pattern
+   *   that matches no files.
+   * @returns {Promise<string[]>} Paths of all files to process.
+   * @throws {Error} If a path cannot be accessed.
+   */
+  async find(patterns, { onUnmatched } = {}) {
+    const exclusions = patterns
+      .filter((pattern) => pattern.startsWith("!"))
+      .map((pattern) => pattern.slice(1))
+    const ignoreRules = await IgnoreRules.load(this.root, exclusions)
+
+    const files = new Map()
+    for (const pattern of patterns.filter((pattern) => !pattern.startsWith("!"))) {
+      let matched = false
+      for await (const file of this.#findPattern(pattern, ignoreRules)) {
+        files.set(path.resolve(this.root, file), file)
+        matched = true
+      }
+      if (!matched) {
+        onUnmatched?.(pattern)
+      }
+    }
+    return [...files.values()]
+  }
+
+  /**
+   * Resolve the directories containing all files that match the patterns, to watch
+   * them for changes.
+   *
+   * Directories and the static parts of glob patterns are watched with their
+   * subdirectories, files by their parent directory.
+   *
+   * @param {string[]} patterns - File paths, directory paths or glob patterns.
+   * @returns {Promise<Array<{directory: string, recursive: boolean}>>} Absolute paths of
+   *   the directories and whether to include their subdirectories.
+   * @throws {Error} If a path cannot be accessed.
+   */
+  async directories(patterns) {
+    const directories = await Promise.all(
+      patterns
+        .filter((pattern) => !pattern.startsWith("!"))
+        .map((pattern) => this.#directory(pattern)),
+    )
+    return [
+      ...new Map(
+        directories.map((entry) => [`${entry.directory}:${entry.recursive}`, entry]),
+      ).values(),
+    ]
+  }
+
+  /**
+   * Resolve the directory containing all files that match a pattern.
+   *
+   * @param {string} pattern - File path, directory path or glob pattern.
+   * @returns {Promise<{directory: string, recursive: boolean}>} Absolute path of the
+   *   directory and whether to include its subdirectories.
+   * @throws {Error} If a path cannot be accessed.
+   */
+  async #directory(pattern) {
+    const resolved = path.resolve(this.root, pattern)
+    let stats
+    try {
+      stats = await fs.stat(resolved)
+    } catch (error) {
+      if (GLOB_CHARACTERS.test(pattern)) {
+        return {
+          directory: path.resolve(this.root, getGlobBase(pattern)),
+          recursive: true,
+        }
+      }
+      throw new Error(`Cannot access '${pattern}': ${error.message}`, {
+        cause: error,
+      })
+    }
+    return stats.isDirectory()
+      ? { directory: resolved, recursive: true }
+      : { directory: path.dirname(resolved), recursive: false }
+  }
+
+  /**
+   * Yield all files matching a single file path, directory path or glob pattern.
+   *
+   * @param {string} pattern - File path, directory path or glob pattern.
+   * @param {IgnoreRules} ignoreRules - Rules for skipping files and directories.
+   * @returns {AsyncGenerator<string>} Matching file paths.
+   */
+  async *#findPattern(pattern, ignoreRules) {
+    let stats
+    try {
+      stats = await fs.stat(path.resolve(this.root, pattern))
+    } catch (error) {
+      if (GLOB_CHARACTERS.test(pattern)) {
+        yield* this.#glob(pattern, ignoreRules)
+        return
+      }
+      throw new Error(`Cannot access '${pattern}': ${error.message}`, {
+        cause: error,
+      })
+    }
+
+    if (stats.isDirectory()) {
+      yield* this.#walk(pattern, ignoreRules)
+    } else if (!(await this.#isIgnored(pattern, ignoreRules))) {
+      yield pattern
+    }
+  }
+
+  /**
+   * Yield files matching a glob pattern in alphabetical order.
+   *
+   * Directories that are skipped when walking are only skipped if a glob segment
+   * matches them, not if the pattern names them, e.g. `.storybook/*.js`.
+   *
+   * @param {string} pattern - Glob pattern.
+   * @param {IgnoreRules} ignoreRules - Rules for skipping files and directories.
+   * @returns {AsyncGenerator<string>} Matching file paths.
+   */
+  async *#glob(pattern, ignoreRules) {
+    const base = path.resolve(this.root, getGlobBase(pattern))
+    const entries = fs.glob(pattern, {
+      cwd: this.root,
+      withFileTypes: true,
+      exclude: (entry) => {
+        if (!entry.isDirectory()) {
+          return false
+        }
+        const directory = path.resolve(this.root, entry.parentPath, entry.name)
+        return (
+          (!isTraversable(entry.name) && !isWithin(directory, base)) ||
+          ignoreRules.isIgnored(directory, true)
+        )
+      },
+    })
+
+    const files = []
+    for await (const entry of entries) {
+      if (entry.isFile()) {
+        files.push(path.join(entry.parentPath, entry.name))
+      }
+    }
+    files.sort((a, b) => a.localeCompare(b))
+
+    for (const file of files) {
+      if (!(await this.#isIgnored(file, ignoreRules))) {
+        yield path.isAbsolute(pattern) ? file : path.relative(this.root, file)
+      }
+    }
+  }
+
+  /**
+   * Recursively yield supported files within a directory in alphabetical order.
+   *
+   * @param {string} directory - Directory to walk.
+   * @param {IgnoreRules} ignoreRules - Rules for skipping files and directories.
+   * @returns {AsyncGenerator<string>} Supported file paths.
+   */
+  async *#walk(directory, ignoreRules) {
+    const resolved = path.resolve(this.root, directory)
+    await ignoreRules.loadDirectories(resolved)
+    const entries = await fs.readdir(resolved, { withFileTypes: true })
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name)
+      if (entry.isDirectory()) {
+        if (
+          isTraversable(entry.name) &&
+          !(await this.#isIgnored(entryPath, ignoreRules, true))
+        ) {
+          yield* this.#walk(entryPath, ignoreRules)
+        }
+      } else if (
+        entry.isFile() &&
+        SUPPORTED_EXTENSIONS.has(path.extname(entry.name)) &&
+        !(await this.#isIgnored(entryPath, ignoreRules))
+      ) {
+        yield entryPath
+      }
+    }
+  }
+
+  /**
+   * Check if a path is ignored, reading the ignore files of its parent directories.
+   *
+   * @param {string} filePath - Absolute path or path relative to the root directory.
+   * @param {IgnoreRules} ignoreRules - Rules for skipping files and directories.
+   * @param {boolean} [isDirectory] - Whether the path is a directory.
+   * @returns {Promise<boolean>} True if the path is ignored.
+   */
+  async #isIgnored(filePath, ignoreRules, isDirectory = false) {
+    const resolved = path.resolve(this.root, filePath)
+    await ignoreRules.loadDirectories(path.dirname(resolved))
+    return ignoreRules.isIgnored(resolved, isDirectory)
+  }
+}
@@ -0,0 +1,225 @@
+import { execFile } from "node:child_process"
+import process from "node:process"
+import { promisify } from "node:util"
+import path from "path"
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Characters of escape sequences in quoted paths.
+ */
+const ESCAPES = { a: "\x07", b: "\b", t: "\t", n: "\n", v: "\v", f: "\f", r: "\r" }
+
+/**
+ * Unquote a path that git quoted because of special characters.
+ *
+ * @param {string} text - Path, quoted with C-style escapes or as is.
+ * @returns {string} The path.
+ */
+function unquote(text) {
+  if (!text.startsWith('"')) {
+    return text
+  }
+  return text
+    .slice(1, -1)
+    .replace(/\\([0-7]{3}|.)/g, (_, escape) =>
+      escape.length === 3
+        ? String.fromCharCode(Number.parseInt(escape, 8))
+        : (ESCAPES[escape] ?? escape),
+    )
+}
+
+/**
+ * Access to the files of the git repository containing a directory.
+ *
+ * @property {string} cwd - Directory within the repository.
+ */
+export class Git {
+  /**
+   * @param {string} [cwd] - Directory within the repository.
+   */
+  constructor(cwd = process.cwd()) {
+    this.cwd = cwd
+  }
+
+  /**
+   * List the files changed since the merge base of a ref, including uncommitted and
+   * untracked files.
+   *
+   * @param {string} [ref] - Commit, branch or tag to compare with.
+   * @returns {Promise<string[]>} Absolute paths of the changed files, without deleted files.
+   * @throws {Error} If git fails, e.g. outside a repository or for an unknown ref.
+   */
+  async changedFiles(ref = "HEAD") {
+    const [changed, untracked] = await Promise.all([
+      this.#files([
+        "diff",
+        "--name-only",
+        "-z",
+        "--diff-filter=d",
+        "--merge-base",
+        ref,
+      ]),
+      this.#files(["ls-files", "--others", "--exclude-standard", "--full-name", "-z"]),
+    ])
+    return [...changed, ...untracked]
+  }
+
+  /**
+   * List the lines changed since the merge base of a ref, including uncommitted changes.
+   *
+   * Untracked files are not included, as all their lines are new. Changed files without
+   * added or modified lines, e.g. renamed files, have no lines.
+   *
+   * @param {string} [ref] - Commit, branch or tag to compare with.
+   * @returns {Promise<Map<string, import("./changes.js").LineRange[]>>} Added or
+   *   modified lines by absolute path of the changed files, without deleted files.
+   * @throws {Error} If git fails, e.g. outside a repository or for an unknown ref.
+   */
+  async changedLines(ref = "HEAD") {
+    const [root, files, output] = await Promise.all([
+      this.#root(),
+      this.#files([
+        "diff",
+        "--name-only",
+        "-z",
+        "--diff-filter=d",
+        "--merge-base",
+        ref,
+      ]),
+      this.#run([
+        "-c",
+        "core.quotePath=false",
+        "diff",
+        "--unified=0",
+        "--no-color",
+        "--no-ext-diff",
+        "--no-prefix",
+        "--diff-filter=d",
+        "--merge-base",
+        ref,
+      ]),
+    ])
+    // Renamed files and mode changes have no hunks
+    const lines = new Map(files.map((file) => [file, []]))
+    let ranges
+    for (const line of output.split("\n")) {
+      if (line.startsWith("+++ ")) {
+        // Paths with spaces end with a tab
+        ranges = lines.get(path.join(root, unquote(line.slice(4).replace(/\t$/, ""))))
+        continue
+      }
+      const hunk = line.match(/^@@ -\S+ \+(?<start>\d+)(?:,(?<count>\d+))? @@/)
+      if (hunk && ranges && hunk.groups.count !== "0") {
+        const start = Number(hunk.groups.start)
+        ranges.push({ start, end: start + Number(hunk.groups.count ?? 1) - 1 })
+      }
+    }
+    return lines
+  }
+
+  /**
+   * Check if a name refers to a commit, e.g. a branch, tag or commit hash.
+   *
+   * @param {string} name - Name to check.
+   * @returns {Promise<boolean>} True if the name resolves to a commit, false otherwise or
+   *   outside a repository.
+   */
+  async isRef(name) {
+    try {
+      await this.#run([
+        "rev-parse",
+        "--verify",
+        "--quiet",
+        "--end-of-options",
+        `${name}^{commit}`,
+      ])
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * List the files with staged changes.
+   *
+   * @returns {Promise<string[]>} Absolute paths of the staged files, without deleted files.
+   * @throws {Error} If git fails, e.g. outside a repository.
+   */
+  async stagedFiles() {
+    return this.#files(["diff", "--cached", "--name-only", "-z", "--diff-filter=d"])
+  }
+
+  /**
+   * List the files with changes that are not staged.
+   *
+   * @returns {Promise<string[]>} Absolute paths of the files.
+   * @throws {Error} If git fails, e.g. outside a repository.
+   */
+  async unstagedFiles() {
+    return this.#files(["diff", "--name-only", "-z"])
+  }
+
+  /**
+   * Stage the changes of files.
+   *
+   * @param {string[]} files - Paths of the files.
+   * @returns {Promise<void>} Resolves once the files are staged.
+   * @throws {Error} If git fails.
+   */
+  async add(files) {
+    if (files.length > 0) {
+      await this.#run(["add", "--", ...files])
+    }
+  }
+
+  /**
+   * Run a git command listing files relative to the repository root.
+   *
+   * @param {string[]} args - Arguments of the command, with NUL-separated output.
+   * @returns {Promise<string[]>} Absolute paths of the listed files.
+   * @throws {Error} If git fails.
+   */
+  async #files(args) {
+    const [root, output] = await Promise.all([this.#root(), this.#run(args)])
+    return output
+      .split("\0")
+      .filter(Boolean)
+      .map((file) => path.join(root, file))
+  }
+
+  /**
+   * Find the root directory of the repository.
+   *
+   * @returns {Promise<string>} Absolute path of the repository root.
+   * @throws {Error} If git fails, e.g. outside a repository.
+   */
+  async #root() {
+    return (await this.#run(["rev-parse", "--show-toplevel"])).trim()
+  }
+
+  /**
+   * Run a git command.
+   *
+   * @param {string[]} args - Arguments of the command.
+   * @returns {Promise<string>} Output of the command.
+   * @throws {Error} If git fails, with its error output as message.
+   */
+  async #run(args) {
+    try {
+      const { stdout } = await execFileAsync("git", args, {
+        cwd: this.cwd,
+        maxBuffer: 64 * 1024 * 1024,
+      })
+      return stdout
+    } catch (error) {
+      const [command] = args[0] === "-c" ? args.slice(2) : args
+      throw new Error(
+        `git ${command} failed: ${error.stderr?.trim() || error.message}`,
+        {
+          cause: error,
+        },
+      )
+    }
+  }
+}
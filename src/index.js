@@ -1,11 +1,29 @@
 import jscodeshift from "jscodeshift"
+import { ChangeSet } from "./changes.js"
+import { findExtractor } from "./embedded.js"
+import { Engine } from "./engine.js"
 import * as newlyAvailable from "./newlyAvailable.js"
+import { detectParser, PARSERS, validateParser } from "./parsers.js"
+import { getBrowserSupport, Targets } from "./targets.js"
 import * as widelyAvailable from "./widelyAvailable.js"
 
 /**
  * Transformer function type.
  *
- * @typedef {function(import('jscodeshift').Collection): boolean} Transformer
+ * @typedef {function(import('jscodeshift').Collection, TransformContext): boolean} Transformer
+ * @property {Date} baselineDate - Date the features became Baseline newly available.
+ * @property {string[]} compatFeatures - browser-compat-data keys of the features the
+ *   transformer relies on, whose browser support is read from web-features.
+ */
+
+/**
+ * Context of the code passed to every transformer.
+ *
+ * @typedef {Object} TransformContext
+ * @property {boolean} template - Whether a template may reassign top-level bindings.
+ * @property {'module' | 'script'} [sourceType] - Whether the code is a module or a
+ *   classic script sharing top-level bindings with other scripts, detected from imports
+ *   and exports if omitted.
  */
 
 /**
@@ -14,49 +32,290 @@ import * as widelyAvailable from "./widelyAvailable.js"
  * @typedef {Object} TransformResult
  * @property {string} code - The transformed code
  * @property {boolean} modified - Whether the code was modified
+ * @property {string[]} transformers - Names of the transformers that modified the code
+ * @property {AttributedEdit[]} changes - Changes to the original code
+ * @property {import('./engine.js').PassTiming[]} passes - Transformers applied in each
+ *   pass and its duration.
  */
 
 /**
- * Apply transformers to code recursively until no changes occur.
+ * Change to the original code, the transformers that made it and the pass it was
+ * first made in.
  *
- * @param {string} code - The source code to transform.
- * @param {import('jscodeshift').JSCodeshift} j - jscodeshift instance.
- * @param {Transformer[]} transformers - Transformer functions.
- * @param {boolean} globalModified - Whether any modifications have occurred.
- * @returns {TransformResult} Object with transformed code and modification status.
+ * @typedef {import('./changes.js').Edit & import('./changes.js').Attribution} AttributedEdit
+ */
+
+/**
+ * All transformers by export name, sorted into modules by their Baseline status on release.
  */
-function applyTransformersRecursively(code, j, transformers, globalModified = false) {
-  const root = j(code)
-  let passModified = false
+const TRANSFORMERS = { ...widelyAvailable, ...newlyAvailable }
 
-  for (const transformer of transformers) {
-    passModified = transformer(root) || passModified
+/**
+ * Months after which newly available features become widely available.
+ */
+const WIDELY_AVAILABLE_MONTHS = 30
+
+/**
+ * Options for a transformation.
+ *
+ * @typedef {Object} TransformOptions
+ * @property {string | number} [baseline] - Baseline level ('widely-available' or
+ *   'newly-available') or Baseline year, e.g. 2022.
+ * @property {Date | string} [asOf] - Date the baseline level is evaluated at,
+ *   defaults to today.
+ * @property {Object} [rules] - Transformers to enable or disable by export name.
+ * @property {string[]} [rules.only] - Apply only these transformers.
+ * @property {string[]} [rules.disable] - Skip these transformers.
+ * @property {string | string[]} [targets] - Browserslist query. Only transformers
+ *   supported by every target are applied, out of all transformers unless a baseline
+ *   is given.
+ * @property {string} [parser] - Parser: 'babel', 'flow', 'ts' or 'tsx' (default).
+ * @property {boolean} [template] - Whether a template may reassign top-level bindings,
+ *   as in Vue and Svelte components.
+ * @property {'module' | 'script'} [sourceType] - Whether the code is a module or a
+ *   classic script, e.g. in HTML documents.
+ * @property {import('./changes.js').LineRange[]} [lines] - Lines that may be changed,
+ *   e.g. the lines changed in a pull request. Changes overlapping none of them are
+ *   discarded.
+ */
+
+/**
+ * Check that all transformer names in the rules exist.
+ *
+ * @param {{only?: string[], disable?: string[]}} rules - Transformers to enable or disable.
+ * @throws {Error} If a name does not match any transformer export.
+ */
+export function validateRules({ only = [], disable = [] }) {
+  const names = Object.keys(TRANSFORMERS)
+  const unknown = [...only, ...disable].filter((name) => !names.includes(name))
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown transformer${unknown.length === 1 ? "" : "s"}: ${unknown.join(", ")}. Valid transformers: ${names.join(", ")}`,
+    )
   }
+}
 
-  if (passModified) {
-    return applyTransformersRecursively(root.toSource(), j, transformers, passModified)
+/**
+ * Check that a baseline is a known level or a year.
+ *
+ * @param {string | number} [baseline] - Baseline level or year.
+ * @throws {Error} If the baseline is neither a level nor a four-digit year.
+ */
+export function validateBaseline(baseline) {
+  switch (baseline) {
+    case undefined:
+    case "widely-available":
+    case "newly-available":
+      return
+    default:
+      if (!/^\d{4}$/.test(String(baseline))) {
+        throw new Error(
+          `Invalid baseline: ${baseline}. Use widely-available, newly-available or a year, e.g. 2022`,
+        )
+      }
   }
+}
 
-  return {
-    code,
-    modified: globalModified,
+/**
+ * Check that a date for evaluating the baseline is valid.
+ *
+ * @param {Date | string} [asOf] - Date or ISO 8601 date string.
+ * @throws {Error} If the date cannot be parsed.
+ */
+export function validateAsOf(asOf) {
+  if (asOf !== undefined && Number.isNaN(new Date(asOf).getTime())) {
+    throw new Error(`Invalid date: ${asOf}. Use an ISO 8601 date, e.g. 2026-01-01`)
   }
 }
 
+/**
+ * Check if a transformer belongs to a baseline level or year at a given date.
+ *
+ * Features are newly available from their `baselineDate` and widely available
+ * 30 months later. A year includes all features that became newly available in or
+ * before that year.
+ *
+ * @param {Transformer} transformer - Transformer with a `baselineDate`.
+ * @param {string | number} baseline - Baseline level or year.
+ * @param {Date} asOf - Date the baseline is evaluated at.
+ * @returns {boolean} True if the transformer's features are part of the baseline.
+ */
+function isInBaseline({ baselineDate }, baseline, asOf) {
+  switch (baseline) {
+    case "widely-available": {
+      const widelyAvailableDate = new Date(baselineDate)
+      widelyAvailableDate.setUTCMonth(
+        widelyAvailableDate.getUTCMonth() + WIDELY_AVAILABLE_MONTHS,
+      )
+      return widelyAvailableDate <= asOf
+    }
+    case "newly-available":
+      return baselineDate <= asOf
+    default:
+      return baselineDate <= asOf && baselineDate.getUTCFullYear() <= Number(baseline)
+  }
+}
+
+/**
+ * Select the transformers for a baseline, filtered by the rules and targets.
+ *
+ * @param {string | number} baseline - Baseline level or year.
+ * @param {Date} asOf - Date the baseline is evaluated at.
+ * @param {{only?: string[], disable?: string[]}} rules - Transformers to enable or disable.
+ * @param {Targets} [targets] - Browsers that must support the transformers.
+ * @returns {Array<[string, Transformer]>} Selected transformer names and functions.
+ */
+function selectTransformers(baseline, asOf, { only, disable = [] }, targets) {
+  return Object.entries(TRANSFORMERS).filter(
+    ([name, transformer]) =>
+      isInBaseline(transformer, baseline, asOf) &&
+      (!only || only.includes(name)) &&
+      !disable.includes(name) &&
+      (!targets || targets.supports(getBrowserSupport(transformer.compatFeatures))),
+  )
+}
+
+/**
+ * Validate the options of a transformation and select its transformers.
+ *
+ * @param {TransformOptions | string} options - Transformation options, or the baseline level.
+ * @returns {Array<[string, Transformer]>} Selected transformer names and functions.
+ * @throws {Error} If the baseline, date or targets are invalid or the rules contain
+ *   unknown transformer names.
+ */
+function resolveTransformers(options) {
+  const {
+    baseline,
+    asOf,
+    rules = {},
+    targets,
+  } = typeof options === "string" ? { baseline: options } : options
+  validateBaseline(baseline)
+  validateAsOf(asOf)
+  validateRules(rules)
+  return selectTransformers(
+    baseline ?? (targets ? "newly-available" : "widely-available"),
+    asOf === undefined ? new Date() : new Date(asOf),
+    rules,
+    targets && new Targets(targets),
+  )
+}
+
+/**
+ * List the names of the transformers a transformation applies.
+ *
+ * @param {TransformOptions | string} [options] - Transformation options, or the baseline level.
+ * @returns {string[]} Transformer names in order of application.
+ * @throws {Error} If the baseline, date or targets are invalid or the rules contain
+ *   unknown transformer names.
+ */
+export function listTransformers(options = {}) {
+  return resolveTransformers(options).map(([name]) => name)
+}
+
 /**
  * Transform JavaScript code using the specified transformers.
  *
  * @param {string} code - The source code to transform.
- * @param {string} baseline - Baseline level ('widely-available' or 'newly-available').
+ * @param {TransformOptions | string} [options] - Transformation options, or the baseline level.
  * @returns {TransformResult} Object with transformed code and modification status.
+ * @throws {Error} If the baseline, date, targets or parser are invalid, the rules
+ *   contain unknown transformer names or the transformers do not settle.
+ */
+export function transform(code, options = {}) {
+  const {
+    parser,
+    template = false,
+    sourceType,
+    lines,
+  } = typeof options === "string" ? {} : options
+  validateParser(parser)
+  return new Engine(resolveTransformers(options), {
+    parser,
+    context: { template, sourceType },
+    lines,
+  }).run(code)
+}
+
+/**
+ * Group the changes of a transformation that must be applied together.
+ *
+ * A transformer may change several lines at once, e.g. make a function async and await
+ * a promise in its body. Changes made by the same transformer in the same pass are
+ * grouped, and so are the groups they share a change with.
+ *
+ * @param {AttributedEdit[]} changes - Changes of a transformation.
+ * @returns {number[][]} Indices of the changes in each group, in order of their first
+ *   change.
  */
-export function transform(code, baseline = "widely-available") {
-  const j = jscodeshift.withParser("tsx")
+export function groupChanges(changes) {
+  // Each change points to an earlier change of its group, the first one to itself
+  const parents = changes.map((_, index) => index)
+  const find = (index) =>
+    parents[index] === index ? index : (parents[index] = find(parents[index]))
+  const firstChanges = new Map()
+  for (const [index, { transformers, pass }] of changes.entries()) {
+    for (const name of pass === undefined ? [] : transformers) {
+      const application = `${pass}:${name}`
+      if (!firstChanges.has(application)) {
+        firstChanges.set(application, index)
+        continue
+      }
+      const roots = [find(index), find(firstChanges.get(application))]
+      parents[Math.max(...roots)] = Math.min(...roots)
+    }
+  }
 
-  let transformers =
-    baseline === "newly-available"
-      ? { ...widelyAvailable, ...newlyAvailable }
-      : widelyAvailable
+  const groups = new Map()
+  for (const index of changes.keys()) {
+    const root = find(index)
+    groups.set(root, [...(groups.get(root) ?? []), index])
+  }
+  return [...groups.values()]
+}
 
-  return applyTransformersRecursively(code, j, Object.values(transformers))
+/**
+ * Apply only some of the changes of a transformation, e.g. after reviewing each change.
+ *
+ * Changes are applied line by line, so accepting a change without the changes it
+ * depends on may leave the code invalid. Accept each group of {@link groupChanges} as a
+ * whole and check the code with {@link validateSyntax}.
+ *
+ * @param {string} code - The source code that was transformed.
+ * @param {TransformResult} result - Result of transforming the code.
+ * @param {function(AttributedEdit, number): boolean} accept - Predicate selecting the
+ *   changes to apply, called with each change and its index.
+ * @returns {string} The source code with the accepted changes applied.
+ */
+export function applyChanges(code, result, accept) {
+  const changeSet = new ChangeSet(code, result.code)
+  return changeSet.apply((change) => {
+    const index = changeSet.changes.indexOf(change)
+    return accept(result.changes[index], index)
+  })
+}
+
+/**
+ * Check that code can be parsed, e.g. after applying only some changes.
+ *
+ * Scripts embedded in other files are parsed on their own, except those that may be
+ * invalid, such as examples in documentation.
+ *
+ * @param {string} code - Content of the file.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.filePath] - Path of the file, to detect the parser and find
+ *   embedded scripts.
+ * @param {string} [options.parser] - Parser, detected from the file by default.
+ * @throws {SyntaxError} If the code cannot be parsed.
+ */
+export function validateSyntax(code, { filePath, parser } = {}) {
+  const extract = findExtractor(filePath)
+  const blocks = extract
+    ? extract(code).filter((block) => !block.skipInvalid)
+    : [{ start: 0, end: code.length, parser: detectParser(filePath, code) }]
+  for (const block of blocks) {
+    jscodeshift.withParser(PARSERS[parser ?? block.parser])(
+      code.slice(block.start, block.end),
+    )
+  }
 }
@@ -152,3 +152,4 @@ export function promiseTry(root) {
   return modified
 }
 promiseTry.baselineDate = new Date(Date.UTC(2025, 0, 7))
+promiseTry.compatFeatures = ["javascript.builtins.Promise.try"]
@@ -0,0 +1,105 @@
+import { parse } from "@babel/parser"
+import path from "path"
+
+/**
+ * Babel parser options for JavaScript with the syntax plugins of the TypeScript parsers
+ * of jscodeshift, except `typescript`.
+ */
+const JS_OPTIONS = {
+  sourceType: "module",
+  allowImportExportEverywhere: true,
+  allowReturnOutsideFunction: true,
+  startLine: 1,
+  tokens: true,
+  plugins: [
+    "jsx",
+    "asyncGenerators",
+    "decoratorAutoAccessors",
+    "bigInt",
+    "classPrivateMethods",
+    "classPrivateProperties",
+    "classProperties",
+    "decorators-legacy",
+    "doExpressions",
+    "dynamicImport",
+    "exportDefaultFrom",
+    "exportExtensions",
+    "exportNamespaceFrom",
+    "functionBind",
+    "functionSent",
+    "importAttributes",
+    "importMeta",
+    "nullishCoalescingOperator",
+    "numericSeparator",
+    "objectRestSpread",
+    "optionalCatchBinding",
+    "optionalChaining",
+    ["pipelineOperator", { proposal: "minimal" }],
+    "throwExpressions",
+  ],
+}
+
+/**
+ * Parsers by name, as jscodeshift parser names or objects.
+ *
+ * JavaScript and Flow are parsed with Babel instead of the `babel` and `flow` parsers of
+ * jscodeshift, because those produce ESTree nodes that the transformers do not expect.
+ */
+export const PARSERS = {
+  babel: { parse: (code) => parse(code, JS_OPTIONS) },
+  flow: {
+    parse: (code) =>
+      parse(code, {
+        ...JS_OPTIONS,
+        plugins: [...JS_OPTIONS.plugins, ["flow", { all: true }], "flowComments"],
+      }),
+  },
+  ts: "ts",
+  tsx: "tsx",
+}
+
+/**
+ * Parser names by file extension.
+ */
+const EXTENSIONS = {
+  ".js": "babel",
+  ".jsx": "babel",
+  ".mjs": "babel",
+  ".cjs": "babel",
+  ".ts": "ts",
+  ".tsx": "tsx",
+}
+
+/**
+ * Comments and whitespace at the start of a file, after an optional hashbang.
+ */
+const LEADING_COMMENTS = /^(?:#!.*)?(?:\s|\/\/.*|\/\*[\s\S]*?\*\/)*/
+
+/**
+ * Check that a parser name is known.
+ *
+ * @param {string} [parser] - Parser name.
+ * @throws {Error} If the parser is unknown.
+ */
+export function validateParser(parser) {
+  if (parser !== undefined && !Object.hasOwn(PARSERS, parser)) {
+    throw new Error(`Invalid parser: ${parser}. Use ${Object.keys(PARSERS).join(", ")}`)
+  }
+}
+
+/**
+ * Choose the parser for a file by its extension and `@flow` pragma.
+ *
+ * JavaScript files with a `@flow` pragma in their leading comments are parsed as Flow.
+ * Files with other extensions, including stdin, are parsed as TSX.
+ *
+ * @param {string | undefined} filePath - Path of the file, omitted for stdin.
+ * @param {string} code - Content of the file.
+ * @returns {string} Parser name.
+ */
+export function detectParser(filePath, code) {
+  const parser = (filePath && EXTENSIONS[path.extname(filePath)]) ?? "tsx"
+  return parser === "babel" && /@flow\b/.test(code.match(LEADING_COMMENTS)[0])
+    ? "flow"
+    : parser
+}
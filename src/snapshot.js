@@ -0,0 +1,418 @@
+import jscodeshift from "jscodeshift"
+
+/**
+ * State of a node when a snapshot was taken.
+ *
+ * @typedef {Object} NodeState
+ * @property {Object | undefined} parent - Parent node, undefined for the root.
+ * @property {number} depth - Number of ancestors of the node.
+ * @property {Map<string, unknown>} values - Values of the properties of the node.
+ * @property {Map<string, Object>} copies - Shallow copies of the arrays and other
+ *   objects that are not nodes, e.g. `extra`, by property.
+ */
+
+/**
+ * Changed property of a node and the lines of the change.
+ *
+ * @typedef {Object} NodeChange
+ * @property {Object} node - Node with the property.
+ * @property {string} key - Name of the property.
+ * @property {number} [index] - Index of the replaced item of an array property, or
+ *   undefined for other changes to the property.
+ * @property {import('./changes.js').LineRange[]} ranges - Changed lines.
+ */
+
+/**
+ * Properties of nodes that hold positions or tokens instead of code.
+ */
+const LOCATION_KEYS = new Set(["start", "end", "loc", "range", "tokens", "errors"])
+
+/**
+ * Check if a value is an AST node.
+ *
+ * @param {unknown} value - Any value.
+ * @returns {boolean} True if the value is a node.
+ */
+function isNode(value) {
+  return typeof value?.type === "string"
+}
+
+/**
+ * Check if a value is copied to detect changes to its contents.
+ *
+ * @param {unknown} value - Any value.
+ * @returns {boolean} True for arrays and other objects that are not nodes.
+ */
+function isContainer(value) {
+  return typeof value === "object" && value !== null && !isNode(value)
+}
+
+/**
+ * Remove lines from ranges of lines.
+ *
+ * @param {import('./changes.js').LineRange[]} ranges - Ranges of lines.
+ * @param {import('./changes.js').LineRange} removed - Lines to remove.
+ * @returns {import('./changes.js').LineRange[]} Remaining lines.
+ */
+function subtract(ranges, removed) {
+  if (removed.start > removed.end) {
+    return ranges
+  }
+  return ranges.flatMap(({ start, end }) =>
+    [
+      { start, end: Math.min(end, removed.start - 1) },
+      { start: Math.max(start, removed.end + 1), end },
+    ].filter((part) => part.start <= part.end),
+  )
+}
+
+/**
+ * Find the items of an array that are not in order of their indices, keeping the
+ * longest increasing subsequence in place.
+ *
+ * @param {unknown[]} items - Items.
+ * @param {number[]} indices - Earlier index of each item.
+ * @returns {unknown[]} Items out of order.
+ */
+function outOfOrder(items, indices) {
+  const tails = []
+  const previous = []
+  indices.forEach((index, i) => {
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (indices[tails[middle]] < index) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    previous[i] = tails[low - 1]
+    tails[low] = i
+  })
+  const kept = new Set()
+  for (let i = tails.at(-1); i !== undefined; i = previous[i]) {
+    kept.add(i)
+  }
+  return items.filter((_, i) => !kept.has(i))
+}
+
+/**
+ * State of all nodes of an AST, to find the lines a transformer changed without
+ * printing the AST.
+ *
+ * Lines refer to the code the AST was parsed from. Moved nodes keep the location they
+ * were parsed at, so the lines they were moved to are recorded and shared with the
+ * later snapshots of the same AST.
+ *
+ * @property {Map<Object, NodeState>} nodes - State of each node.
+ * @property {Map<Object, import('./changes.js').LineRange>} positions - Lines that
+ *   moved and inserted nodes were put between.
+ */
+export class TreeSnapshot {
+  /**
+   * Missing fields are set to their default values first, as ast-types does when it
+   * visits a node, so that visiting the AST later does not change it.
+   *
+   * @param {Object} root - Root node of the AST.
+   * @param {Map<Object, import('./changes.js').LineRange>} [positions] - Lines of the
+   *   nodes moved since the AST was parsed.
+   */
+  constructor(root, positions = new Map()) {
+    this.nodes = new Map()
+    this.positions = positions
+    this.#record(root, undefined, 0)
+  }
+
+  /**
+   * Find the lines that changed since an earlier snapshot of the same AST.
+   *
+   * @param {TreeSnapshot} before - Earlier snapshot.
+   * @returns {import('./changes.js').LineRange[]} Changed lines.
+   */
+  changedLines(before) {
+    return this.changes(before).flatMap(({ ranges }) => ranges)
+  }
+
+  /**
+   * Find the properties of nodes that changed since an earlier snapshot of the same
+   * AST, and their lines.
+   *
+   * Replaced and removed nodes are located where they were, inserted and moved nodes
+   * between their new neighbors, and other changes to a node at the node, without the
+   * nodes it contains.
+   *
+   * @param {TreeSnapshot} before - Earlier snapshot.
+   * @returns {NodeChange[]} Changed properties.
+   */
+  changes(before) {
+    const changes = []
+    for (const [node, { values, copies }] of this.nodes) {
+      const previous = before.nodes.get(node)
+      if (!previous) {
+        continue
+      }
+      for (const key of new Set([...previous.values.keys(), ...values.keys()])) {
+        const [old, value] = [previous.values.get(key), values.get(key)]
+        const [oldCopy, copy] = [previous.copies.get(key), copies.get(key)]
+        let ranges
+        if (Array.isArray(oldCopy) && Array.isArray(copy)) {
+          if (
+            oldCopy.length === copy.length &&
+            oldCopy.every((item, i) => item === copy[i])
+          ) {
+            continue
+          }
+          const replaced = this.#replacedItems(oldCopy, copy, before)
+          if (replaced) {
+            changes.push(...replaced.map((change) => ({ node, key, ...change })))
+            continue
+          }
+          ranges = this.#changedItems(node, oldCopy, copy, before)
+        } else {
+          // Other objects, e.g. `extra`, are compared by their contents
+          const changed =
+            oldCopy && copy
+              ? Object.keys({ ...oldCopy, ...copy }).some(
+                  (name) => oldCopy[name] !== copy[name],
+                )
+              : old !== value
+          if (!changed) {
+            continue
+          }
+          ranges =
+            isNode(old) && old.loc
+              ? before.#ownLines(old, this)
+              : this.#ownLines(node, this)
+          // Replacing nodes take the lines of the replaced node
+          if (
+            isNode(old) &&
+            isNode(value) &&
+            !value.loc &&
+            !this.positions.has(value)
+          ) {
+            const position = before.locate(old)
+            if (position) {
+              this.positions.set(value, position)
+            }
+          }
+        }
+        changes.push({
+          node,
+          key,
+          ranges: ranges.filter(
+            (range) => range?.start !== undefined && range.end !== undefined,
+          ),
+        })
+      }
+    }
+    return changes
+  }
+
+  /**
+   * Find the items of an array that were replaced in place by new nodes, so that each
+   * replacement is a separate change.
+   *
+   * @param {unknown[]} old - Items before.
+   * @param {unknown[]} value - Items now.
+   * @param {TreeSnapshot} before - Earlier snapshot.
+   * @returns {Array<{index: number, ranges: import('./changes.js').LineRange[]}> | null}
+   *   Replaced items, or null if items were also inserted, removed or moved.
+   */
+  #replacedItems(old, value, before) {
+    if (old.length !== value.length) {
+      return null
+    }
+    const indices = [...old.keys()].filter((index) => old[index] !== value[index])
+    if (
+      indices.some(
+        (index) =>
+          !isNode(old[index]) ||
+          !isNode(value[index]) ||
+          value.includes(old[index]) ||
+          old.includes(value[index]) ||
+          !before.locate(old[index]),
+      )
+    ) {
+      return null
+    }
+    return indices.map((index) => {
+      if (!value[index].loc) {
+        this.positions.set(value[index], before.locate(old[index]))
+      }
+      return { index, ranges: before.#ownLines(old[index], this) }
+    })
+  }
+
+  /**
+   * Restore changed properties of nodes to their values in this snapshot, including the
+   * contents of arrays and other objects.
+   *
+   * @param {NodeChange[]} changes - Changed properties, e.g. from a later snapshot.
+   */
+  restore(changes) {
+    for (const { node, key, index } of changes) {
+      const state = this.nodes.get(node)
+      if (index !== undefined) {
+        node[key][index] = state.copies.get(key)[index]
+        continue
+      }
+      if (!state.values.has(key)) {
+        delete node[key]
+        continue
+      }
+      const value = state.values.get(key)
+      const copy = state.copies.get(key)
+      node[key] = value
+      if (Array.isArray(copy)) {
+        value.splice(0, value.length, ...copy)
+      } else if (copy) {
+        for (const name of Object.keys(value)) {
+          delete value[name]
+        }
+        Object.assign(value, copy)
+      }
+    }
+  }
+
+  /**
+   * Find the lines of the changes to the items of an array property.
+   *
+   * @param {Object} node - Node with the property.
+   * @param {unknown[]} old - Items before.
+   * @param {unknown[]} value - Items now.
+   * @param {TreeSnapshot} before - Earlier snapshot.
+   * @returns {import('./changes.js').LineRange[]} Changed lines.
+   */
+  #changedItems(node, old, value, before) {
+    const removed = old.filter((item) => !value.includes(item))
+    const kept = value.filter((item) => old.includes(item))
+    const moved = outOfOrder(
+      kept,
+      kept.map((item) => old.indexOf(item)),
+    )
+    // Lines the nodes were taken from, before their new positions are recorded
+    const taken = [...removed, ...moved].flatMap((item) => before.#ownLines(item, this))
+    const range = this.locate(node)
+    const replaced = removed.map((item) => before.locate(item)).filter(Boolean)
+    const inserted = value.flatMap((item, i) => {
+      if (old.includes(item) && !moved.includes(item)) {
+        return []
+      }
+      const isLocated = (other) => this.positions.has(other) || Boolean(other?.loc)
+      const previous = value.slice(0, i).findLast(isLocated)
+      const next = value.slice(i + 1).find(isLocated)
+      // Inserted nodes without neighbors replace the removed ones and take their lines
+      if (removed.length > 0 && (!previous || !next)) {
+        if (isNode(item) && replaced.length > 0) {
+          this.positions.set(item, {
+            start: Math.min(...replaced.map(({ start }) => start)),
+            end: Math.max(...replaced.map(({ end }) => end)),
+          })
+        }
+        return []
+      }
+      const position = {
+        start: (previous && this.locate(previous)?.end) ?? range?.start,
+        end: (next && this.locate(next)?.start) ?? range?.end,
+      }
+      if (isNode(item)) {
+        this.positions.set(item, position)
+      }
+      return [position]
+    })
+    return [...taken, ...inserted]
+  }
+
+  /**
+   * Locate a node, or its closest ancestor for new nodes.
+   *
+   * @param {Object} node - Node of the AST.
+   * @returns {import('./changes.js').LineRange | undefined} Lines of the node.
+   */
+  locate(node) {
+    for (let current = node; current; current = this.nodes.get(current)?.parent) {
+      if (this.positions.has(current)) {
+        return this.positions.get(current)
+      }
+      if (current.loc) {
+        return { start: current.loc.start.line, end: current.loc.end.line }
+      }
+    }
+  }
+
+  /**
+   * Find the lines of a node without the inner lines of the nodes it contains that are
+   * still in place, e.g. the body of a function that was replaced by an arrow function.
+   * Nodes moved to another depth are printed with another indentation, so their lines
+   * are included.
+   *
+   * @param {Object} node - Node of this snapshot.
+   * @param {TreeSnapshot} after - Later snapshot.
+   * @returns {import('./changes.js').LineRange[]} Lines of the node.
+   */
+  #ownLines(node, after) {
+    const range = this.locate(node)
+    if (!range || !node.loc || this.positions.has(node)) {
+      return range ? [range] : []
+    }
+    const kept = []
+    const findKept = (parent) => {
+      const { values, copies } = this.nodes.get(parent)
+      for (const child of [...values.keys()].flatMap((key) =>
+        Array.isArray(copies.get(key)) ? copies.get(key) : [values.get(key)],
+      )) {
+        if (!isNode(child)) {
+          continue
+        }
+        if (
+          child.loc &&
+          !after.positions.has(child) &&
+          after.nodes.get(child)?.depth === this.nodes.get(child).depth
+        ) {
+          kept.push({ start: child.loc.start.line + 1, end: child.loc.end.line - 1 })
+        } else {
+          findKept(child)
+        }
+      }
+    }
+    findKept(node)
+    return kept.reduce(subtract, [range])
+  }
+
+  /**
+   * Record the state of a node and its descendants.
+   *
+   * @param {Object} node - Node of the AST.
+   * @param {Object | undefined} parent - Parent of the node.
+   * @param {number} depth - Number of ancestors of the node.
+   */
+  #record(node, parent, depth) {
+    if (this.nodes.has(node)) {
+      return
+    }
+    const values = new Map()
+    const copies = new Map()
+    this.nodes.set(node, { parent, depth, values, copies })
+    for (const key of jscodeshift.types.getFieldNames(node)) {
+      if (!Object.hasOwn(node, key)) {
+        node[key] = jscodeshift.types.getFieldValue(node, key)
+      }
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (LOCATION_KEYS.has(key)) {
+        continue
+      }
+      values.set(key, value)
+      if (isContainer(value)) {
+        copies.set(key, Array.isArray(value) ? [...value] : { ...value })
+      }
+      for (const child of [value].flat()) {
+        if (isNode(child)) {
+          this.#record(child, node, depth + 1)
+        }
+      }
+    }
+  }
+}
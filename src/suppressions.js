@@ -0,0 +1,175 @@
+import { default as j } from "jscodeshift"
+
+const DIRECTIVE =
+  /^\s*esupgrade-(?<action>(?:disable|ignore)-next-line|disable|ignore|enable)(?:\s+(?<names>.*?))?\s*(?:--.*)?$/s
+
+const ACTIONS = {
+  "disable-next-line": "next-line",
+  "ignore-next-line": "next-line",
+  disable: "disable",
+  ignore: "disable",
+  enable: "enable",
+}
+
+/**
+ * Lines excluded from transformation.
+ *
+ * @typedef {Object} SuppressedRange
+ * @property {number} start - First suppressed line, 1-based.
+ * @property {number} end - Last suppressed line, inclusive.
+ * @property {string[] | null} rules - Suppressed transformer names, or null for all.
+ */
+
+/**
+ * Comment directive controlling which transformers may change which lines.
+ *
+ * @typedef {Object} Directive
+ * @property {"disable" | "enable" | "next-line"} action - Effect of the directive.
+ * @property {string[] | null} rules - Affected transformer names, or null for all.
+ * @property {number} start - First line of the comment.
+ * @property {number} end - Last line of the comment.
+ */
+
+/**
+ * Line ranges suppressed by `esupgrade-disable`, `esupgrade-enable` and
+ * `esupgrade-ignore-next-line` comments.
+ *
+ * `esupgrade-ignore` is an alias of `esupgrade-disable`. Directive comments are
+ * protected from changes themselves.
+ *
+ * @property {SuppressedRange[]} ranges - Suppressed line ranges.
+ */
+export class Suppressions {
+  /**
+   * @param {SuppressedRange[]} [ranges] - Suppressed line ranges.
+   */
+  constructor(ranges = []) {
+    this.ranges = ranges
+  }
+
+  /**
+   * Collect the suppressed ranges from the comments of a parsed source.
+   *
+   * @param {string} code - The source code.
+   * @param {import("jscodeshift").Collection} root - The root AST collection of the code.
+   * @returns {Suppressions} Suppressed ranges.
+   */
+  static parse(code, root) {
+    if (!code.includes("esupgrade-")) {
+      return new Suppressions()
+    }
+
+    const directives = root
+      .find(j.Comment)
+      .nodes()
+      .map((comment) => Suppressions.#parseDirective(comment))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start)
+
+    return new Suppressions(Suppressions.#collectRanges(directives))
+  }
+
+  /**
+   * Check if no lines are suppressed.
+   *
+   * @returns {boolean} True if there are no suppressed ranges.
+   */
+  isEmpty() {
+    return this.ranges.length === 0
+  }
+
+  /**
+   * Check if a transformer may apply a change.
+   *
+   * @param {import("./changes.js").Change} change - Change to check.
+   * @param {string} rule - Name of the transformer.
+   * @returns {boolean} True unless the change overlaps a range suppressed for the rule.
+   */
+  allows(change, rule) {
+    return !this.ranges.some(
+      (range) =>
+        range.start <= change.end &&
+        change.start <= range.end &&
+        (!range.rules || range.rules.includes(rule)),
+    )
+  }
+
+  /**
+   * Parse a comment as a directive.
+   *
+   * @param {import("ast-types").namedTypes.Comment} comment - Comment node.
+   * @returns {Directive | null} Directive, or null for other comments.
+   */
+  static #parseDirective(comment) {
+    const match = comment.value.match(DIRECTIVE)
+    if (!match) {
+      return null
+    }
+
+    const { action, names } = match.groups
+    const rules = names?.split(/[\s,]+/).filter(Boolean)
+    return {
+      action: ACTIONS[action],
+      rules: rules?.length ? rules : null,
+      start: comment.loc.start.line,
+      end: comment.loc.end.line,
+    }
+  }
+
+  /**
+   * Convert directives in order of appearance to suppressed ranges.
+   *
+   * @param {Directive[]} directives - Directives sorted by line.
+   * @returns {SuppressedRange[]} Suppressed ranges.
+   */
+  static #collectRanges(directives) {
+    const ranges = []
+    const open = new Map()
+
+    for (const directive of directives) {
+      ranges.push({ start: directive.start, end: directive.end, rules: null })
+
+      switch (directive.action) {
+        case "next-line":
+          ranges.push({
+            start: directive.end + 1,
+            end: directive.end + 1,
+            rules: directive.rules,
+          })
+          break
+        case "disable":
+          for (const rule of directive.rules ?? ["*"]) {
+            if (!open.has(rule)) {
+              open.set(rule, directive.start)
+            }
+          }
+          break
+        case "enable":
+          for (const rule of directive.rules ?? [...open.keys()]) {
+            if (open.has(rule)) {
+              ranges.push(Suppressions.#range(rule, open.get(rule), directive.end))
+              open.delete(rule)
+            }
+          }
+          break
+      }
+    }
+
+    for (const [rule, start] of open) {
+      ranges.push(Suppressions.#range(rule, start, Infinity))
+    }
+    return ranges
+  }
+
+  /**
+   * Create a suppressed range for a single rule or all rules.
+   *
+   * @param {string} rule - Transformer name, or `*` for all.
+   * @param {number} start - First suppressed line.
+   * @param {number} end - Last suppressed line.
+   * @returns {SuppressedRange} Suppressed range.
+   */
+  static #range(rule, start, end) {
+    return { start, end, rules: rule === "*" ? null : [rule] }
+  }
+}
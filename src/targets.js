@@ -0,0 +1,251 @@
+import { getAllVersions } from "baseline-browser-mapping"
+import browserslist from "browserslist"
+import { createRequire } from "node:module"
+import path from "node:path"
+import process from "node:process"
+
+const require = createRequire(import.meta.url)
+
+/**
+ * Minimum browser versions supporting the features a transformer relies on, keyed
+ * by the browser identifiers of web-features. Browsers without support are omitted.
+ *
+ * @typedef {Object} BrowserSupport
+ * @property {string} [chrome] - Chrome version.
+ * @property {string} [chrome_android] - Chrome for Android version.
+ * @property {string} [edge] - Edge version.
+ * @property {string} [firefox] - Firefox version.
+ * @property {string} [firefox_android] - Firefox for Android version.
+ * @property {string} [safari] - Safari version.
+ * @property {string} [safari_ios] - Safari on iOS version.
+ */
+
+/**
+ * Browserslist names of the Baseline core browsers and their web-features identifiers.
+ */
+const BROWSERS = {
+  chrome: "chrome",
+  and_chr: "chrome_android",
+  edge: "edge",
+  firefox: "firefox",
+  and_ff: "firefox_android",
+  safari: "safari",
+  ios_saf: "safari_ios",
+}
+
+/**
+ * Browserslist names of Chromium-based browsers, with their baseline-browser-mapping
+ * identifiers and the web-features identifiers of the Chrome they are based on.
+ */
+const CHROMIUM_BROWSERS = {
+  android: ["webview_android", "chrome_android"],
+  and_qq: ["qq_android", "chrome_android"],
+  and_uc: ["uc_android", "chrome_android"],
+  op_mob: ["opera_android", "chrome_android"],
+  opera: ["opera", "chrome"],
+  samsung: ["samsunginternet_android", "chrome_android"],
+}
+
+/**
+ * Versions of Chromium-based browsers and the Chromium versions they are based on.
+ * @type {Map<string, Array<[string, string]>> | undefined}
+ */
+let chromiumVersions
+
+/**
+ * Read the Chromium versions of Chromium-based browsers from baseline-browser-mapping,
+ * which browserslist uses for Baseline queries.
+ *
+ * @returns {Map<string, Array<[string, string]>>} Pairs of browser and Chromium
+ *   versions in ascending order, by baseline-browser-mapping identifier.
+ */
+function getChromiumVersions() {
+  if (!chromiumVersions) {
+    chromiumVersions = new Map()
+    for (const { browser, version, engine, engine_version } of getAllVersions({
+      includeDownstreamBrowsers: true,
+      suppressWarnings: true,
+    })) {
+      if (engine === "Blink") {
+        chromiumVersions.set(browser, [
+          ...(chromiumVersions.get(browser) ?? []),
+          [version, engine_version],
+        ])
+      }
+    }
+    for (const versions of chromiumVersions.values()) {
+      versions.sort(([a], [b]) => compareVersions(a, b))
+    }
+  }
+  return chromiumVersions
+}
+
+/**
+ * Browser support of web-features by browser-compat-data key.
+ * @type {Map<string, BrowserSupport> | undefined}
+ */
+let compatSupport
+
+/**
+ * Read the browser support of browser-compat-data keys from web-features.
+ *
+ * The data is only loaded once browser targets are used.
+ *
+ * @returns {Map<string, BrowserSupport>} Browser support by compat key.
+ */
+function getCompatSupport() {
+  if (!compatSupport) {
+    compatSupport = new Map()
+    const { features } = require("web-features/data.json")
+    for (const { status } of Object.values(features)) {
+      for (const [key, { support }] of Object.entries(status?.by_compat_key ?? {})) {
+        compatSupport.set(key, support)
+      }
+    }
+  }
+  return compatSupport
+}
+
+/**
+ * Combine the browser support of the features a transformer relies on.
+ *
+ * @param {string[]} compatFeatures - browser-compat-data keys, e.g.
+ *   `javascript.builtins.Object.entries`.
+ * @returns {BrowserSupport} Minimum browser versions supporting all features.
+ * @throws {Error} If web-features has no data for a key.
+ */
+export function getBrowserSupport(compatFeatures) {
+  const supports = compatFeatures.map((key) => {
+    const support = getCompatSupport().get(key)
+    if (!support) {
+      throw new Error(`Unknown compat feature: ${key}`)
+    }
+    return support
+  })
+  return Object.fromEntries(
+    Object.values(BROWSERS)
+      .filter((browser) => supports.every((support) => support[browser]))
+      .map((browser) => [
+        browser,
+        supports
+          .map((support) => support[browser])
+          .reduce((a, b) => (compareVersions(a, b) >= 0 ? a : b)),
+      ]),
+  )
+}
+
+/**
+ * Compare two dotted version numbers.
+ *
+ * @param {string} a - First version.
+ * @param {string} b - Second version.
+ * @returns {number} Negative if a is lower, positive if a is higher, otherwise 0.
+ */
+function compareVersions(a, b) {
+  const [head, ...rest] = a.split(".").map(Number)
+  const [otherHead, ...otherRest] = b.split(".").map(Number)
+  if (head !== otherHead || (rest.length === 0 && otherRest.length === 0)) {
+    return head - otherHead
+  }
+  return compareVersions(rest.join("."), otherRest.join("."))
+}
+
+/**
+ * Browser versions selected by a browserslist query.
+ *
+ * Versions of Chromium-based browsers, like Android WebView, Opera and Samsung
+ * Internet, are mapped to the Chrome versions they are based on. Targets of other
+ * browsers have no support data and are skipped, see {@link Targets#unknown}.
+ *
+ * @property {string[]} browsers - Selected browsers, e.g. `chrome 90`.
+ * @property {string} [source] - Configuration the query was read from, e.g. the path
+ *   of `.browserslistrc`.
+ */
+export class Targets {
+  /**
+   * @param {string | string[]} query - Browserslist query.
+   * @param {string} [directory] - Directory that browserslist resolves configs against.
+   * @param {string} [source] - Configuration the query was read from.
+   * @throws {Error} If the query is invalid.
+   */
+  constructor(query, directory = process.cwd(), source = undefined) {
+    this.browsers = browserslist(query, { path: directory })
+    this.source = source
+  }
+
+  /**
+   * Read the query from `.browserslistrc` or the `browserslist` key of `package.json`,
+   * or from the `BROWSERSLIST` and `BROWSERSLIST_CONFIG` environment variables.
+   *
+   * @param {string} [directory] - Directory to start the search from.
+   * @returns {Targets | undefined} Targets, or undefined if there is no configuration.
+   * @throws {Error} If the configuration is invalid.
+   */
+  static load(directory = process.cwd()) {
+    const query = browserslist.loadConfig({ path: directory })
+    if (!query) {
+      return undefined
+    }
+    const source = process.env.BROWSERSLIST
+      ? "the BROWSERSLIST environment variable"
+      : path.relative(
+          directory,
+          process.env.BROWSERSLIST_CONFIG ?? browserslist.findConfigFile(directory),
+        )
+    return new Targets(query, directory, source)
+  }
+
+  /**
+   * Selected browsers without support data.
+   *
+   * @returns {string[]} Browsers, e.g. `op_mini all`.
+   */
+  get unknown() {
+    return this.browsers.filter((target) => !this.#resolve(target))
+  }
+
+  /**
+   * Check if every target with support data supports a transformer's features.
+   *
+   * @param {BrowserSupport} browserSupport - Minimum supporting browser versions.
+   * @returns {boolean} True if all known targets support the features.
+   */
+  supports(browserSupport) {
+    return this.browsers.every((target) => {
+      const resolved = this.#resolve(target)
+      if (resolved === null) {
+        return true
+      }
+      const version = browserSupport[resolved.browser]
+      return version !== undefined && compareVersions(resolved.version, version) >= 0
+    })
+  }
+
+  /**
+   * Map a browserslist target to a web-features browser and version.
+   *
+   * Version ranges like `15.2-15.3` resolve to their lowest version. Versions of
+   * Chromium-based browsers newer than the known ones resolve to the latest known
+   * Chromium version.
+   *
+   * @param {string} target - Browserslist target, e.g. `ios_saf 15.2-15.3`.
+   * @returns {{browser: string, version: string} | null} Browser and version, or null
+   *   if there is no support data for the target.
+   */
+  #resolve(target) {
+    const [name, range] = target.split(" ")
+    const version = range.split("-")[0]
+    if (!/^\d+(\.\d+)*$/.test(version)) {
+      return null
+    }
+
+    if (CHROMIUM_BROWSERS[name]) {
+      const [identifier, browser] = CHROMIUM_BROWSERS[name]
+      const chromium = getChromiumVersions()
+        .get(identifier)
+        ?.findLast(([known]) => compareVersions(known, version) <= 0)
+      return chromium ? { browser, version: chromium[1] } : null
+    }
+    return BROWSERS[name] ? { browser: BROWSERS[name], version } : null
+  }
+}
@@ -52,6 +52,15 @@ export function anonymousFunctionToArrow(root) {
         return false
       }
 
+      // Skip methods built as function expressions, e.g. by constructorToClass
+      if (
+        (j.MethodDefinition.check(parent) ||
+          (j.Property.check(parent) && (parent.method || parent.kind !== "init"))) &&
+        parent.value === node
+      ) {
+        return false
+      }
+
       // Note: We don't need to check for 'super' because using super in a
       // function expression is a syntax error and will never parse successfully
 
@@ -86,3 +95,4 @@ export function anonymousFunctionToArrow(root) {
   return modified
 }
 anonymousFunctionToArrow.baselineDate = new Date(Date.UTC(2016, 8, 20))
+anonymousFunctionToArrow.compatFeatures = ["javascript.functions.arrow_functions"]
@@ -66,3 +66,4 @@ export function arrayConcatToSpread(root) {
   return modified
 }
 arrayConcatToSpread.baselineDate = new Date(Date.UTC(2015, 9, 14))
+arrayConcatToSpread.compatFeatures = ["javascript.operators.spread.spread_in_arrays"]
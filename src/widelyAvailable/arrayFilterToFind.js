@@ -77,3 +77,4 @@ export function arrayFilterToFind(root) {
   return modified
 }
 arrayFilterToFind.baselineDate = new Date(Date.UTC(2016, 8, 20))
+arrayFilterToFind.compatFeatures = ["javascript.builtins.Array.find"]
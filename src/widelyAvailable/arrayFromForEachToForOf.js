@@ -73,3 +73,7 @@ export function arrayFromForEachToForOf(root) {
   return modified
 }
 arrayFromForEachToForOf.baselineDate = new Date(Date.UTC(2016, 8, 20))
+arrayFromForEachToForOf.compatFeatures = [
+  "javascript.statements.const",
+  "javascript.statements.for_of",
+]
@@ -57,3 +57,4 @@ export function arrayFromToSpread(root) {
   return modified
 }
 arrayFromToSpread.baselineDate = new Date(Date.UTC(2016, 8, 20))
+arrayFromToSpread.compatFeatures = ["javascript.operators.spread.spread_in_arrays"]
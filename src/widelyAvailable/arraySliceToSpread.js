@@ -55,3 +55,4 @@ export function arraySliceToSpread(root) {
   return modified
 }
 arraySliceToSpread.baselineDate = new Date(Date.UTC(2015, 9, 14))
+arraySliceToSpread.compatFeatures = ["javascript.operators.spread.spread_in_arrays"]
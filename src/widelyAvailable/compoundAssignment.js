@@ -51,3 +51,11 @@ export function compoundAssignment(root) {
 }
 
 compoundAssignment.baselineDate = new Date(Date.UTC(1997, 5, 1))
+compoundAssignment.compatFeatures = [
+  "javascript.operators.addition_assignment",
+  "javascript.operators.subtraction_assignment",
+  "javascript.operators.multiplication_assignment",
+  "javascript.operators.division_assignment",
+  "javascript.operators.remainder_assignment",
+  "javascript.operators.exponentiation_assignment",
+]
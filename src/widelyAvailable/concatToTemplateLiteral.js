@@ -128,3 +128,4 @@ ${rawValue}`
   return modified
 }
 concatToTemplateLiteral.baselineDate = new Date(Date.UTC(2015, 8, 30))
+concatToTemplateLiteral.compatFeatures = ["javascript.grammar.template_literals"]
@@ -36,3 +36,4 @@ export function consoleLogToInfo(root) {
   return modified
 }
 consoleLogToInfo.baselineDate = new Date(Date.UTC(2015, 6, 29))
+consoleLogToInfo.compatFeatures = ["api.console.info_static"]
@@ -329,3 +329,4 @@ export function constructorToClass(root) {
   return transformConstructorsToClasses(root, constructorsByScope)
 }
 constructorToClass.baselineDate = new Date(Date.UTC(2016, 2, 8))
+constructorToClass.compatFeatures = ["javascript.classes"]
@@ -159,3 +159,4 @@ export function defaultParameterValues(root) {
   return modified
 }
 defaultParameterValues.baselineDate = new Date(Date.UTC(2016, 8, 20))
+defaultParameterValues.compatFeatures = ["javascript.functions.default_parameters"]
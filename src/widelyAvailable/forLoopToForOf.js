@@ -138,3 +138,8 @@ export function forLoopToForOf(root) {
   return modified
 }
 forLoopToForOf.baselineDate = new Date(Date.UTC(2015, 6, 29))
+forLoopToForOf.compatFeatures = [
+  "javascript.statements.const",
+  "javascript.statements.let",
+  "javascript.statements.for_of",
+]
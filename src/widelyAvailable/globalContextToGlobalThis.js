@@ -116,3 +116,4 @@ export function globalContextToGlobalThis(root) {
   return modified
 }
 globalContextToGlobalThis.baselineDate = new Date(Date.UTC(2020, 0, 15))
+globalContextToGlobalThis.compatFeatures = ["javascript.builtins.globalThis"]
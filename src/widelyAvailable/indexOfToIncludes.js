@@ -142,3 +142,7 @@ export function indexOfToIncludes(root) {
   return modified
 }
 indexOfToIncludes.baselineDate = new Date(Date.UTC(2016, 8, 20))
+indexOfToIncludes.compatFeatures = [
+  "javascript.builtins.Array.includes",
+  "javascript.builtins.String.includes",
+]
@@ -72,3 +72,4 @@ export function indexOfToStartsWith(root) {
   return modified
 }
 indexOfToStartsWith.baselineDate = new Date(Date.UTC(2015, 8, 30))
+indexOfToStartsWith.compatFeatures = ["javascript.builtins.String.startsWith"]
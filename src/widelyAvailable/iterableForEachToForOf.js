@@ -164,3 +164,7 @@ export function iterableForEachToForOf(root) {
   return modified
 }
 iterableForEachToForOf.baselineDate = new Date(Date.UTC(2015, 6, 29))
+iterableForEachToForOf.compatFeatures = [
+  "javascript.statements.const",
+  "javascript.statements.for_of",
+]
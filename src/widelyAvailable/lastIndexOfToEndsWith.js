@@ -139,3 +139,4 @@ export function lastIndexOfToEndsWith(root) {
   return modified
 }
 lastIndexOfToEndsWith.baselineDate = new Date(Date.UTC(2015, 8, 30))
+lastIndexOfToEndsWith.compatFeatures = ["javascript.builtins.String.endsWith"]
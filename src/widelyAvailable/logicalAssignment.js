@@ -81,3 +81,8 @@ export function logicalAssignment(root) {
 }
 
 logicalAssignment.baselineDate = new Date(Date.UTC(2021, 3, 26))
+logicalAssignment.compatFeatures = [
+  "javascript.operators.logical_and_assignment",
+  "javascript.operators.logical_or_assignment",
+  "javascript.operators.nullish_coalescing_assignment",
+]
@@ -123,3 +123,4 @@ export function namedArrowFunctionToNamedFunction(root) {
   return modified
 }
 namedArrowFunctionToNamedFunction.baselineDate = new Date(Date.UTC(2016, 8, 20))
+namedArrowFunctionToNamedFunction.compatFeatures = ["javascript.statements.function"]
@@ -74,3 +74,7 @@ export function negativeIndexToAt(root) {
   return modified
 }
 negativeIndexToAt.baselineDate = new Date(Date.UTC(2022, 2, 17))
+negativeIndexToAt.compatFeatures = [
+  "javascript.builtins.Array.at",
+  "javascript.builtins.String.at",
+]
@@ -72,3 +72,4 @@ export function nullishCoalescingOperator(root) {
   return modified
 }
 nullishCoalescingOperator.baselineDate = new Date(Date.UTC(2020, 8, 16))
+nullishCoalescingOperator.compatFeatures = ["javascript.operators.nullish_coalescing"]
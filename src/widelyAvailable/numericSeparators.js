@@ -232,3 +232,4 @@ export function numericSeparators(root) {
   return modified
 }
 numericSeparators.baselineDate = new Date(Date.UTC(2020, 6, 28))
+numericSeparators.compatFeatures = ["javascript.grammar.numeric_separators"]
@@ -37,3 +37,6 @@ export function objectAssignToSpread(root) {
   return modified
 }
 objectAssignToSpread.baselineDate = new Date(Date.UTC(2020, 0, 15))
+objectAssignToSpread.compatFeatures = [
+  "javascript.operators.spread.spread_in_object_literals",
+]
@@ -70,3 +70,4 @@ export function objectHasOwn(root) {
   return modified
 }
 objectHasOwn.baselineDate = new Date(Date.UTC(2022, 2, 14))
+objectHasOwn.compatFeatures = ["javascript.builtins.Object.hasOwn"]
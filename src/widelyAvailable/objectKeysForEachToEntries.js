@@ -160,3 +160,7 @@ export function objectKeysForEachToEntries(root) {
   return modified
 }
 objectKeysForEachToEntries.baselineDate = new Date(Date.UTC(2017, 2, 27))
+objectKeysForEachToEntries.compatFeatures = [
+  "javascript.builtins.Object.entries",
+  "javascript.operators.destructuring",
+]
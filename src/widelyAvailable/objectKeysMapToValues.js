@@ -118,3 +118,4 @@ export function objectKeysMapToValues(root) {
   return modified
 }
 objectKeysMapToValues.baselineDate = new Date(Date.UTC(2017, 2, 27))
+objectKeysMapToValues.compatFeatures = ["javascript.builtins.Object.values"]
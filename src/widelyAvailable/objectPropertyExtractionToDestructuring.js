@@ -341,3 +341,6 @@ function removeExtractionDeclarators(body, extractions) {
   }
 }
 objectPropertyExtractionToDestructuring.baselineDate = new Date(Date.UTC(2020, 0, 15))
+objectPropertyExtractionToDestructuring.compatFeatures = [
+  "javascript.operators.destructuring",
+]
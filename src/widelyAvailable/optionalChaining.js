@@ -89,3 +89,4 @@ export function optionalChaining(root) {
   return modified
 }
 optionalChaining.baselineDate = new Date(Date.UTC(2020, 6, 28))
+optionalChaining.compatFeatures = ["javascript.operators.optional_chaining"]
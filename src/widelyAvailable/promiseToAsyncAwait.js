@@ -198,3 +198,7 @@ export function promiseToAsyncAwait(root) {
   return modified
 }
 promiseToAsyncAwait.baselineDate = new Date(Date.UTC(2017, 3, 5))
+promiseToAsyncAwait.compatFeatures = [
+  "javascript.statements.async_function",
+  "javascript.operators.await",
+]
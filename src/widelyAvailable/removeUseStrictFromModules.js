@@ -4,11 +4,14 @@ import { default as j } from "jscodeshift"
  * Remove 'use strict' directives from modules. Modules are strict by default, making
  * these directives redundant.
  *
+ * Code is a module if its source type says so, or else if it has imports or exports.
+ *
  * @param {import("jscodeshift").Collection} root - The root AST collection
+ * @param {import("../index.js").TransformContext} [context] - Context of the code
  * @returns {boolean} True if code was modified
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Strict_mode#strict_mode_for_modules
  */
-export function removeUseStrictFromModules(root) {
+export function removeUseStrictFromModules(root, { sourceType } = {}) {
   let modified = false
 
   // Check if the file is a module by looking for import/export statements
@@ -18,7 +21,7 @@ export function removeUseStrictFromModules(root) {
     root.find(j.ExportDefaultDeclaration).length > 0 ||
     root.find(j.ExportAllDeclaration).length > 0
 
-  const isModule = hasImports || hasExports
+  const isModule = sourceType ? sourceType === "module" : hasImports || hasExports
 
   // Only proceed if this is a module
   if (!isModule) {
@@ -50,3 +53,7 @@ export function removeUseStrictFromModules(root) {
   return modified
 }
 removeUseStrictFromModules.baselineDate = new Date(Date.UTC(2018, 4, 9))
+removeUseStrictFromModules.compatFeatures = [
+  "javascript.statements.export",
+  "javascript.statements.import",
+]
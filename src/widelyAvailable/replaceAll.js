@@ -169,3 +169,4 @@ export function replaceAll(root) {
   return modified
 }
 replaceAll.baselineDate = new Date(Date.UTC(2020, 7, 27))
+replaceAll.compatFeatures = ["javascript.builtins.String.replaceAll"]
@@ -71,3 +71,4 @@ export function substrToSlice(root) {
   return modified
 }
 substrToSlice.baselineDate = new Date(Date.UTC(2015, 6, 29))
+substrToSlice.compatFeatures = ["javascript.builtins.String.slice"]
@@ -121,3 +121,4 @@ export function substringToStartsWith(root) {
   return modified
 }
 substringToStartsWith.baselineDate = new Date(Date.UTC(2015, 8, 30))
+substringToStartsWith.compatFeatures = ["javascript.builtins.String.startsWith"]
@@ -31,21 +31,46 @@ function isAmbientTypeScriptVar(path) {
   return path.node.declare === true || isInDeclaredTypeScriptModule(path)
 }
 
+/**
+ * Detect whether a variable declaration is at the top level of the program.
+ *
+ * @param {import("ast-types").NodePath} path - The variable declaration path.
+ * @returns {boolean} True when the declaration or its export is a program statement.
+ */
+function isTopLevel({ parent }) {
+  return (
+    j.Program.check(parent.node) ||
+    (j.ExportNamedDeclaration.check(parent.node) && j.Program.check(parent.parent.node))
+  )
+}
+
 /**
  * Transform var to const or let.
  *
+ * Top-level variables become `let` if a template may reassign them, and are kept in
+ * classic scripts, where they are global properties shared with other scripts.
+ *
  * @param {import("jscodeshift").Collection} root - The root AST collection
+ * @param {import("../index.js").TransformContext} [context] - Context of the code
  * @returns {boolean} True if code was modified
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/const
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/let
  */
-export function varToLetOrConst(root) {
+export function varToLetOrConst(root, { template = false, sourceType } = {}) {
   let modified = false
 
   root.find(j.VariableDeclaration, { kind: "var" }).forEach((path) => {
     if (isAmbientTypeScriptVar(path)) {
       return
     }
+    if (sourceType === "script" && isTopLevel(path)) {
+      return
+    }
+    if (template && isTopLevel(path)) {
+      path.node.kind = "let"
+      modified = true
+      return
+    }
 
     const isSingleDeclarator = path.node.declarations.length === 1
 
@@ -61,3 +86,7 @@ export function varToLetOrConst(root) {
   return modified
 }
 varToLetOrConst.baselineDate = new Date(Date.UTC(2016, 8, 20))
+varToLetOrConst.compatFeatures = [
+  "javascript.statements.const",
+  "javascript.statements.let",
+]
@@ -1,28 +1,41 @@
 import fs from "fs/promises"
-import { parentPort, workerData } from "worker_threads"
+import { parentPort } from "worker_threads"
+import { findExtractor, transformEmbedded } from "./embedded.js"
 import { transform } from "./index.js"
+import { detectParser } from "./parsers.js"
 
-/** Worker thread for processing files in parallel. */
+/** Long-lived worker thread processing one file per message in parallel. */
 
-const { filePath, baseline } = workerData
+parentPort.on("message", async ({ filePath, options }) => {
+  try {
+    const code = await fs.readFile(filePath, "utf8")
+    const extract = findExtractor(filePath)
+    const result = extract
+      ? transformEmbedded(code, extract(code), options)
+      : transform(code, {
+          ...options,
+          parser: options.parser ?? detectParser(filePath, code),
+        })
 
-try {
-  const code = await fs.readFile(filePath, "utf8")
-  const result = transform(code, baseline)
-
-  parentPort.postMessage({
-    success: true,
-    filePath,
-    result: {
-      modified: result.modified,
-      original: code,
-      code: result.code,
-    },
-  })
-} catch (error) {
-  parentPort.postMessage({
-    success: false,
-    filePath,
-    error,
-  })
-}
+    parentPort.postMessage({
+      success: true,
+      filePath,
+      result: {
+        modified: result.modified,
+        original: code,
+        code: result.code,
+        transformers: result.transformers,
+        changes: result.changes,
+        passes: result.passes,
+        warnings: result.warnings ?? [],
+      },
+    })
+  } catch (error) {
+    // Errors of some parsers lose their message when cloned to the main thread
+    parentPort.postMessage({
+      success: false,
+      filePath,
+      error: { message: error.message, stack: error.stack },
+    })
+  }
+})
@@ -1,22 +1,9 @@
 import assert from "node:assert/strict"
 import { suite, test } from "node:test"
 import * as newlyAvailable from "../src/newlyAvailable.js"
+import { getBrowserSupport } from "../src/targets.js"
 import * as widelyAvailable from "../src/widelyAvailable.js"
 
-/**
- * Calculate the date 30 months after the given date.
- *
- * @param {Date} date - The starting date.
- * @returns {Date} The date 30 months later.
- */
-function widelyAvailableAt(date) {
-  const result = new Date(date)
-  result.setUTCMonth(result.getUTCMonth() + 30)
-  return result
-}
-
-const currentReleaseDate = new Date(Date.UTC(2025, 0, 1))
-
 suite("baseline", () => {
   // Dates can be found on https://github.com/web-platform-dx/web-features named `baseline_low_date`
   test("all transformers have a baselineDate", () => {
@@ -31,21 +18,28 @@ suite("baseline", () => {
     }
   })
 
-  test("widelyAvailable transformers have been released for at least 30 months", () => {
-    for (const [name, transformer] of Object.entries(widelyAvailable)) {
-      assert(
-        widelyAvailableAt(transformer.baselineDate) <= currentReleaseDate,
-        `${name} (${transformer.baselineDate.toISOString().slice(0, 10)}) should be released for at least 30 months`,
-      )
-    }
-  })
-
-  test("newlyAvailable transformers are not yet widely available", () => {
-    for (const [name, transformer] of Object.entries(newlyAvailable)) {
-      assert(
-        widelyAvailableAt(transformer.baselineDate) > currentReleaseDate,
-        `${name} (${transformer.baselineDate.toISOString().slice(0, 10)}) should be moved to widelyAvailable`,
+  test("all transformers rely on features supported by all core browsers", () => {
+    for (const [name, transformer] of Object.entries({
+      ...widelyAvailable,
+      ...newlyAvailable,
+    })) {
+      const browserSupport = getBrowserSupport(transformer.compatFeatures)
+      assert.deepEqual(
+        Object.keys(browserSupport),
+        [
+          "chrome",
+          "chrome_android",
+          "edge",
+          "firefox",
+          "firefox_android",
+          "safari",
+          "safari_ios",
+        ],
+        `${name} must have compatFeatures supported by all core browsers`,
       )
+      for (const version of Object.values(browserSupport)) {
+        assert.match(version, /^\d+(\.\d+)*$/, `${name} must have numeric versions`)
+      }
     }
   })
 })
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { afterEach, beforeEach, describe, suite, test } from "node:test"
+import { Cache, CACHE_DIRECTORY } from "../src/cache.js"
+
+suite("cache", () => {
+  describe("Cache", () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test("start empty without a cache file", async () => {
+      const cache = await Cache.load(tempDir)
+
+      assert.equal(cache.file, path.join(tempDir, CACHE_DIRECTORY, "files.json"))
+      assert.equal(cache.entries.size, 0)
+    })
+
+    test("start empty with an unreadable cache file", async () => {
+      fs.mkdirSync(path.join(tempDir, CACHE_DIRECTORY), { recursive: true })
+      fs.writeFileSync(path.join(tempDir, CACHE_DIRECTORY, "files.json"), "{")
+
+      const cache = await Cache.load(tempDir)
+
+      assert.equal(cache.entries.size, 0)
+    })
+
+    test("save and load up-to-date files", async () => {
+      const cache = await Cache.load(tempDir)
+      cache.update(path.join(tempDir, "a.js"), "key")
+      await cache.save()
+
+      const loaded = await Cache.load(tempDir)
+
+      assert.ok(loaded.isUpToDate(path.join(tempDir, "a.js"), "key"))
+      assert.ok(!loaded.isUpToDate(path.join(tempDir, "a.js"), "other"), "key differs")
+      assert.ok(!loaded.isUpToDate(path.join(tempDir, "b.js"), "key"), "path differs")
+    })
+
+    test("forget files without a key", () => {
+      const cache = new Cache("files.json", { [path.resolve("a.js")]: "key" })
+
+      cache.update("a.js")
+
+      assert.ok(!cache.isUpToDate("a.js", "key"))
+    })
+
+    test("key content and transformers", () => {
+      const cache = new Cache("files.json")
+      const key = cache.key("const x = 1;", {})
+
+      assert.match(key, /^[0-9a-f]{64}$/)
+      assert.equal(cache.key("const x = 1;", {}), key, "is stable")
+      assert.notEqual(cache.key("const y = 1;", {}), key, "depends on content")
+      assert.notEqual(
+        cache.key("const x = 1;", { baseline: "newly-available" }),
+        key,
+        "depends on baseline",
+      )
+      assert.notEqual(
+        cache.key("const x = 1;", { rules: { disable: ["varToLetOrConst"] } }),
+        key,
+        "depends on rules",
+      )
+      assert.notEqual(
+        cache.key("const x = 1;", { parser: "babel" }),
+        key,
+        "depends on parser",
+      )
+      assert.notEqual(
+        cache.key("const x = 1;", { lines: [{ start: 1, end: 1 }] }),
+        key,
+        "depends on lines",
+      )
+      assert.equal(
+        cache.key("const x = 1;", { rules: { disable: ["promiseTry"] } }),
+        key,
+        "ignores rules of unselected transformers",
+      )
+    })
+  })
+})
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { ChangeSet, LineHistory } from "../src/changes.js"
+
+suite("changes", () => {
+  describe("ChangeSet", () => {
+    test("group changed lines", () => {
+      const changeSet = new ChangeSet("a\nb\nc\nd\n", "a\nB\nc\nD\nE\n")
+
+      assert.deepEqual(changeSet.changes, [
+        { start: 2, end: 2, removed: "b\n", added: "B\n" },
+        { start: 4, end: 4, removed: "d\n", added: "D\nE\n" },
+      ])
+    })
+
+    test("split line-by-line replacements", () => {
+      const changeSet = new ChangeSet("a\nb\nc\n", "A\nB\nc\n")
+
+      assert.deepEqual(changeSet.changes, [
+        { start: 1, end: 1, removed: "a\n", added: "A\n" },
+        { start: 2, end: 2, removed: "b\n", added: "B\n" },
+      ])
+    })
+
+    test("span insertions across the surrounding lines", () => {
+      const changeSet = new ChangeSet("a\nb\n", "a\ninserted\nb\n")
+
+      assert.deepEqual(changeSet.changes, [
+        { start: 1, end: 2, removed: "", added: "inserted\n" },
+      ])
+    })
+
+    test("narrow changes to the characters that differ", () => {
+      const changeSet = new ChangeSet(
+        "var a = 1;\nfoo();\nx = x + 1;\n",
+        "const a = 1;\nfoo();\nx += 1;\n",
+      )
+
+      assert.deepEqual(changeSet.edits(), [
+        {
+          start: { line: 1, column: 1 },
+          end: { line: 1, column: 4 },
+          removed: "var",
+          added: "const",
+        },
+        {
+          start: { line: 3, column: 3 },
+          end: { line: 3, column: 8 },
+          removed: "= x +",
+          added: "+=",
+        },
+      ])
+    })
+
+    test("locate insertions as empty ranges", () => {
+      const changeSet = new ChangeSet("a\nb\n", "a\nb\nc\n")
+
+      assert.deepEqual(changeSet.edits(), [
+        {
+          start: { line: 3, column: 1 },
+          end: { line: 3, column: 1 },
+          removed: "",
+          added: "c\n",
+        },
+      ])
+    })
+
+    test("apply accepted changes only", () => {
+      const changeSet = new ChangeSet("a\nb\nc\nd\n", "A\nb\nc\nD\n")
+
+      assert.equal(
+        changeSet.apply(({ start }) => start === 4),
+        "a\nb\nc\nD\n",
+      )
+      assert.equal(
+        changeSet.apply(() => true),
+        "A\nb\nc\nD\n",
+      )
+      assert.equal(
+        changeSet.apply(() => false),
+        "a\nb\nc\nd\n",
+      )
+    })
+  })
+
+  describe("LineHistory", () => {
+    test("attribute changes to the transformers that made them", () => {
+      const history = new LineHistory()
+      history.startPass()
+      history.record("upper", [{ start: 1, end: 1 }])
+      history.startPass()
+      history.record("last", [{ start: 3, end: 3 }])
+      history.record("upper", [{ start: 3, end: 3 }])
+
+      const { changes } = new ChangeSet("a\nb\nc\n", "A\nb\nC\n")
+      assert.deepEqual(
+        changes.map((change) => history.attribute(change)),
+        [
+          { transformers: ["upper"], pass: 1 },
+          { transformers: ["last", "upper"], pass: 2 },
+        ],
+      )
+    })
+
+    test("attribute a change to the first pass that touched its lines", () => {
+      const history = new LineHistory()
+      history.startPass()
+      history.record("split", [{ start: 1, end: 2 }])
+      history.startPass()
+      history.record("second", [{ start: 2, end: 2 }])
+
+      assert.deepEqual(history.attribute({ start: 2, end: 3 }), {
+        transformers: ["split", "second"],
+        pass: 1,
+      })
+    })
+
+    test("leave out the pass of changes that cannot be attributed", () => {
+      const history = new LineHistory()
+      history.startPass()
+      history.record("first", [{ start: 1, end: 1 }])
+
+      assert.deepEqual(history.attribute({ start: 2, end: 2 }), { transformers: [] })
+    })
+  })
+})
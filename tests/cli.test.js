@@ -1,10 +1,12 @@
 import assert from "node:assert/strict"
-import { spawnSync } from "node:child_process"
+import { spawn, spawnSync } from "node:child_process"
+import { once } from "node:events"
 import process from "node:process"
 import fs from "node:fs"
 import os from "node:os"
 import path from "node:path"
 import { afterEach, beforeEach, describe, test } from "node:test"
+import { Cache } from "../src/cache.js"
 
 const CLI_PATH = path.join(process.cwd(), "bin", "esupgrade.js")
 
@@ -60,6 +62,83 @@ describe("CLI", () => {
     assert.equal(result.status, 0, "exits successfully")
   })
 
+  test("expand glob patterns without shell expansion", () => {
+    fs.mkdirSync(path.join(tempDir, "src"))
+    fs.mkdirSync(path.join(tempDir, "vendor"))
+    fs.writeFileSync(path.join(tempDir, ".esupgradeignore"), "vendor/\n")
+    fs.writeFileSync(path.join(tempDir, "src", "index.ts"), `var x = 1;`)
+    fs.writeFileSync(path.join(tempDir, "src", "types.generated.ts"), `var y = 2;`)
+    fs.writeFileSync(path.join(tempDir, "vendor", "index.js"), `var z = 3;`)
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "**/*.{js,ts}", "!**/*.generated.ts", "--write"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    assert.match(
+      fs.readFileSync(path.join(tempDir, "src", "index.ts"), "utf8"),
+      /const x = 1/,
+      "transforms matching file",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "src", "types.generated.ts"), "utf8"),
+      `var y = 2;`,
+      "skips negated pattern",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "vendor", "index.js"), "utf8"),
+      `var z = 3;`,
+      "skips files listed in .esupgradeignore",
+    )
+    assert.match(result.stdout, /1 file upgraded/, "reports 1 file upgraded")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("expand glob patterns in dot-directories they name", () => {
+    fs.mkdirSync(path.join(tempDir, ".storybook", ".cache"), { recursive: true })
+    fs.writeFileSync(path.join(tempDir, ".storybook", "main.js"), `var x = 1;`)
+    fs.writeFileSync(
+      path.join(tempDir, ".storybook", ".cache", "index.js"),
+      `var y = 2;`,
+    )
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".storybook/**/*.js"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.doesNotMatch(
+      result.stderr,
+      /matches no files/,
+      "matches the named directory",
+    )
+    assert.match(result.stdout, /\.storybook\/main\.js/, "processes the matched files")
+    assert.doesNotMatch(
+      result.stdout,
+      /\.cache/,
+      "skips dot-directories matched by globs",
+    )
+  })
+
+  test("warn about patterns that match no files", () => {
+    fs.writeFileSync(path.join(tempDir, "index.js"), `var x = 1;`)
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "*.js", "src/**/*.ts"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.match(result.stderr, /Warning: 'src\/\*\*\/\*\.ts' matches no files/)
+    assert.doesNotMatch(
+      result.stderr,
+      /'\*\.js'/,
+      "does not warn about matched patterns",
+    )
+    assert.match(result.stdout, /index\.js/, "processes the matched files")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
   test("transform files with widely-available baseline by default", () => {
     const testFile = path.join(tempDir, "test.js")
     fs.writeFileSync(
@@ -106,6 +185,287 @@ describe("CLI", () => {
     assert.equal(result.status, 0, "exits successfully")
   })
 
+  test("apply settings from esupgrade.config.js", () => {
+    const legacyDir = path.join(tempDir, "legacy")
+    fs.mkdirSync(legacyDir)
+    fs.writeFileSync(
+      path.join(tempDir, "esupgrade.config.js"),
+      `export default {
+        baseline: "newly-available",
+        exclude: ["**/*.generated.js"],
+        rules: { disable: ["consoleLogToInfo"] },
+        overrides: [{ files: ["legacy/**"], rules: { only: ["varToLetOrConst"] } }],
+      }`,
+    )
+    const code = `var p = new Promise((resolve) => resolve(getData()));\nconsole.log(p);`
+    fs.writeFileSync(path.join(tempDir, "app.js"), code)
+    fs.writeFileSync(path.join(tempDir, "app.generated.js"), code)
+    fs.writeFileSync(path.join(legacyDir, "app.js"), code)
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--write"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    const app = fs.readFileSync(path.join(tempDir, "app.js"), "utf8")
+    assert.match(app, /Promise\.try/, "uses configured baseline")
+    assert.match(app, /console\.log/, "skips disabled rules")
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "app.generated.js"), "utf8"),
+      code,
+      "skips excluded files",
+    )
+    const legacy = fs.readFileSync(path.join(legacyDir, "app.js"), "utf8")
+    assert.match(legacy, /const p = new Promise/, "applies override rules")
+    assert.match(result.stdout, /2 files upgraded/, "reports 2 files upgraded")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("prefer --baseline over the configuration", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "package.json"),
+      JSON.stringify({ esupgrade: { baseline: "newly-available" } }),
+    )
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--baseline", "widely-available"],
+      {
+        encoding: "utf8",
+        cwd: tempDir,
+        input: "const p = new Promise((resolve) => resolve(getData()));",
+      },
+    )
+
+    assert.doesNotMatch(result.stdout, /Promise\.try/, "uses command line baseline")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("transform stdin with a baseline year", () => {
+    const input = "var x = 1;\nconst last = Array.of(1)[Array.of(1).length - 1];"
+
+    const before = spawnSync(process.execPath, [CLI_PATH, "-", "--baseline", "2021"], {
+      encoding: "utf8",
+      input,
+    })
+    const after = spawnSync(process.execPath, [CLI_PATH, "-", "--baseline", "2022"], {
+      encoding: "utf8",
+      input,
+    })
+
+    assert.match(
+      before.stdout,
+      /\[Array\.of\(1\)\.length - 1\]/,
+      "excludes later features",
+    )
+    assert.match(
+      after.stdout,
+      /Array\.of\(1\)\.at\(-1\)/,
+      "includes features of the year",
+    )
+    assert.equal(after.status, 0, "exits successfully")
+  })
+
+  test("transform stdin with the baseline as of a date", () => {
+    const input = "const p = new Promise((resolve) => resolve(getData()));"
+
+    const before = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--as-of", "2027-07-06"],
+      { encoding: "utf8", input },
+    )
+    const after = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--as-of", "2027-07-07"],
+      {
+        encoding: "utf8",
+        input,
+      },
+    )
+
+    assert.doesNotMatch(before.stdout, /Promise\.try/, "excludes newly available")
+    assert.match(after.stdout, /Promise\.try/, "includes widely available")
+    assert.equal(after.status, 0, "exits successfully")
+  })
+
+  test("error on invalid --as-of date", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--as-of", "someday"], {
+      encoding: "utf8",
+      input: "var x = 1;",
+    })
+
+    assert.match(result.stderr, /Invalid date: someday/, "displays error")
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("transform stdin for --targets", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--targets", "chrome >= 128, firefox >= 134"],
+      {
+        encoding: "utf8",
+        input: "const p = new Promise((resolve) => resolve(getData()));",
+      },
+    )
+
+    assert.match(result.stdout, /Promise\.try/, "applies supported transformers")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("read targets from .browserslistrc", () => {
+    fs.writeFileSync(path.join(tempDir, ".browserslistrc"), "safari 15\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "-"], {
+      encoding: "utf8",
+      cwd: tempDir,
+      input: "var x = 1;\nconst last = Array.of(1)[Array.of(1).length - 1];",
+    })
+
+    assert.match(result.stdout, /const x = 1/, "applies supported transformers")
+    assert.match(result.stdout, /\.length - 1\]/, "skips unsupported transformers")
+    assert.match(
+      result.stderr,
+      /Using browserslist targets from \.browserslistrc instead of Baseline widely available/,
+      "reports the configuration",
+    )
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("apply transformers with the defaults browserslist query", () => {
+    fs.writeFileSync(path.join(tempDir, ".browserslistrc"), "defaults\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "-"], {
+      encoding: "utf8",
+      cwd: tempDir,
+      input: "var x = 1;",
+    })
+
+    assert.match(result.stdout, /const x = 1/, "applies supported transformers")
+    assert.match(
+      result.stderr,
+      /Warning: No browser support data for .*op_mini all.*, these targets are ignored/,
+      "names unknown targets",
+    )
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("report browserslist targets combined with --baseline", () => {
+    fs.writeFileSync(path.join(tempDir, ".browserslistrc"), "chrome 100\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--baseline", "widely-available"],
+      { encoding: "utf8", cwd: tempDir, input: "var x = 1;" },
+    )
+
+    assert.match(result.stderr, /Using browserslist targets from \.browserslistrc\n/)
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("warn about targets without browser support data", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--targets", "chrome 100, op_mini all"],
+      { encoding: "utf8", input: "var x = 1;" },
+    )
+
+    assert.match(
+      result.stderr,
+      /Warning: No browser support data for op_mini all, these targets are ignored/,
+      "names unknown targets",
+    )
+    assert.equal(
+      result.stdout,
+      "const x = 1;",
+      "applies transformers for known targets",
+    )
+  })
+
+  test("error on invalid targets", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--targets", "foo 1"], {
+      encoding: "utf8",
+      input: "var x = 1;",
+    })
+
+    assert.match(result.stderr, /Error: Invalid targets: Unknown browser foo/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("apply only selected transformers with --only", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--only", "consoleLogToInfo,mathPowToExponentiation"],
+      { encoding: "utf8", input: "var x = Math.pow(2, 3);\nconsole.log(x);" },
+    )
+
+    assert.equal(result.stdout, "var x = 2 ** 3;\nconsole.info(x);")
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("skip transformers with --disable", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "package.json"),
+      JSON.stringify({ esupgrade: { rules: { disable: ["varToLetOrConst"] } } }),
+    )
+
+    const result = spawnSync(
+      process.execPath,
+      [
+        CLI_PATH,
+        "-",
+        "--disable",
+        "consoleLogToInfo",
+        "--disable",
+        "mathPowToExponentiation",
+      ],
+      {
+        encoding: "utf8",
+        cwd: tempDir,
+        input: "var x = Math.pow(2, 3);\nconsole.log(x);",
+      },
+    )
+
+    assert.equal(
+      result.stdout,
+      "var x = Math.pow(2, 3);\nconsole.log(x);",
+      "adds to configured rules",
+    )
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("error on unknown transformer names", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "-", "--only", "varToConst"],
+      {
+        encoding: "utf8",
+        input: "var x = 1;",
+      },
+    )
+
+    assert.match(
+      result.stderr,
+      /Error: Unknown transformer: varToConst\. Valid transformers: .*varToLetOrConst/,
+    )
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("error on invalid configuration", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "package.json"),
+      JSON.stringify({ esupgrade: { unknown: true } }),
+    )
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "-"], {
+      encoding: "utf8",
+      cwd: tempDir,
+      input: "var x = 1;",
+    })
+
+    assert.match(result.stderr, /Invalid configuration: Unknown configuration option/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
   test("transform stdin and write code to stdout", () => {
     fs.writeFileSync(path.join(tempDir, "-"), "const fromFile = true;")
 
@@ -335,6 +695,7 @@ describe("CLI", () => {
     )
 
     assert.match(result.stderr, /error/, "displays error for invalid baseline")
+    assert.match(result.stderr, /Invalid baseline: invalid/, "explains valid baselines")
     assert.equal(result.status, 1, "exits with 1")
   })
 
@@ -430,8 +791,57 @@ describe("CLI", () => {
       encoding: "utf8",
     })
 
-    assert.match(result.stderr, /is not a file/)
-    assert.equal(result.status, 1, "exits with 1 because argument is not a file")
+    assert.match(
+      result.stdout,
+      /All files are up to date/,
+      "reports all files up to date",
+    )
+    assert.equal(result.status, 0, "exits successfully")
+  })
+
+  test("process directories recursively", () => {
+    const nestedDir = path.join(tempDir, "src", "nested")
+    const dependencyDir = path.join(tempDir, "node_modules", "dependency")
+    const hiddenDir = path.join(tempDir, ".cache")
+    fs.mkdirSync(nestedDir, { recursive: true })
+    fs.mkdirSync(dependencyDir, { recursive: true })
+    fs.mkdirSync(hiddenDir)
+
+    const nestedFile = path.join(nestedDir, "test.ts")
+    const dependencyFile = path.join(dependencyDir, "index.js")
+    const hiddenFile = path.join(hiddenDir, "test.js")
+    const textFile = path.join(tempDir, "src", "notes.txt")
+    fs.writeFileSync(nestedFile, `var x = 1;`)
+    fs.writeFileSync(dependencyFile, `var y = 2;`)
+    fs.writeFileSync(hiddenFile, `var z = 3;`)
+    fs.writeFileSync(textFile, `var text = 4;`)
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--write"], {
+      encoding: "utf8",
+    })
+
+    assert.match(
+      fs.readFileSync(nestedFile, "utf8"),
+      /const x = 1/,
+      "transforms nested file",
+    )
+    assert.equal(
+      fs.readFileSync(dependencyFile, "utf8"),
+      `var y = 2;`,
+      "skips node_modules",
+    )
+    assert.equal(
+      fs.readFileSync(hiddenFile, "utf8"),
+      `var z = 3;`,
+      "skips dot-directories",
+    )
+    assert.equal(
+      fs.readFileSync(textFile, "utf8"),
+      `var text = 4;`,
+      "skips unsupported extensions",
+    )
+    assert.match(result.stdout, /1 file upgraded/, "reports 1 file upgraded")
+    assert.equal(result.status, 0, "exits successfully")
   })
 
   test("group changes by type in --check output", () => {
@@ -446,6 +856,1237 @@ describe("CLI", () => {
     assert.equal(result.status, 1, "exits with 1")
   })
 
+  test("report files as JSON with --format json", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\nconsole.log(a);\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "const b = 2;\n")
+    fs.writeFileSync(path.join(tempDir, "c.js"), "var x = {{{;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--format", "json"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.deepEqual(JSON.parse(result.stdout), {
+      files: [
+        {
+          path: "a.js",
+          status: "modified",
+          error: null,
+          warnings: [],
+          transformers: ["consoleLogToInfo", "varToLetOrConst"],
+          changes: [
+            {
+              start: { line: 1, column: 1 },
+              end: { line: 1, column: 4 },
+              removed: "var",
+              added: "const",
+              transformers: ["varToLetOrConst"],
+              pass: 1,
+            },
+            {
+              start: { line: 2, column: 9 },
+              end: { line: 2, column: 12 },
+              removed: "log",
+              added: "info",
+              transformers: ["consoleLogToInfo"],
+              pass: 1,
+            },
+          ],
+        },
+        {
+          path: "b.js",
+          status: "unchanged",
+          error: null,
+          warnings: [],
+          transformers: [],
+          changes: [],
+        },
+        {
+          path: "c.js",
+          status: "error",
+          error: "Unexpected token (1:9)",
+          warnings: [],
+          transformers: [],
+          changes: [],
+        },
+      ],
+      summary: { total: 3, modified: 1, unchanged: 1, deferred: 0, errors: 1 },
+    })
+    assert.equal(result.stderr, "", "writes nothing else")
+    assert.equal(result.status, 128, "exits with 128 on errors")
+  })
+
+  test("stream files as NDJSON with --format ndjson", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, ".", "--format", "ndjson", "--check"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    const lines = result.stdout
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line))
+    assert.deepEqual(lines, [
+      {
+        type: "file",
+        path: "a.js",
+        status: "modified",
+        error: null,
+        warnings: [],
+        transformers: ["varToLetOrConst"],
+        changes: [
+          {
+            start: { line: 1, column: 1 },
+            end: { line: 1, column: 4 },
+            removed: "var",
+            added: "const",
+            transformers: ["varToLetOrConst"],
+            pass: 1,
+          },
+        ],
+      },
+      { type: "summary", total: 1, modified: 1, unchanged: 0, deferred: 0, errors: 0 },
+    ])
+    assert.equal(result.status, 1, "exits with 1 with --check")
+  })
+
+  test("report changes as SARIF with --format sarif", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var x = {{{;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--format", "sarif"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    const [run] = JSON.parse(result.stdout).runs
+    assert.equal(run.tool.driver.name, "esupgrade")
+    assert.deepEqual(run.tool.driver.rules, [
+      {
+        id: "varToLetOrConst",
+        helpUri: "https://github.com/codingjoe/esupgrade#transformations",
+      },
+    ])
+    const region = { startLine: 1, startColumn: 1, endLine: 1, endColumn: 4 }
+    assert.deepEqual(run.results, [
+      {
+        ruleId: "varToLetOrConst",
+        level: "warning",
+        message: { text: "Upgrade with varToLetOrConst" },
+        locations: [
+          { physicalLocation: { artifactLocation: { uri: "a.js" }, region } },
+        ],
+        fixes: [
+          {
+            description: { text: "Upgrade with varToLetOrConst" },
+            artifactChanges: [
+              {
+                artifactLocation: { uri: "a.js" },
+                replacements: [
+                  { deletedRegion: region, insertedContent: { text: "const" } },
+                ],
+              },
+            ],
+          },
+        ],
+        properties: { transformers: ["varToLetOrConst"], pass: 1 },
+      },
+    ])
+    assert.deepEqual(run.invocations, [
+      {
+        executionSuccessful: false,
+        toolExecutionNotifications: [
+          {
+            level: "error",
+            message: { text: "Unexpected token (1:9)" },
+            locations: [{ physicalLocation: { artifactLocation: { uri: "b.js" } } }],
+          },
+        ],
+      },
+    ])
+    assert.equal(result.status, 128, "exits with 128 on errors")
+  })
+
+  test("report a SARIF result for each transformer of a change", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = Math.pow(b, 2);\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--format", "sarif"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    const [run] = JSON.parse(result.stdout).runs
+    assert.deepEqual(
+      run.tool.driver.rules.map(({ id }) => id),
+      ["mathPowToExponentiation", "varToLetOrConst"],
+    )
+    assert.deepEqual(
+      run.results.map(({ ruleId, fixes }) => [ruleId, fixes?.length]),
+      [
+        ["mathPowToExponentiation", 1],
+        ["varToLetOrConst", undefined],
+      ],
+    )
+    assert.equal(result.status, 0)
+  })
+
+  test("error on --format with stdin", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--format", "json"], {
+      encoding: "utf8",
+      input: "var x = 1;",
+    })
+
+    assert.match(result.stderr, /Error: '--format' cannot be used with stdin/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("show the transformers next to each change", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\nconsole.log(a);\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "a.js"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.match(result.stdout, /line 1: varToLetOrConst.*\n.*- var a = 1;/)
+    assert.match(result.stdout, /line 2: consoleLogToInfo.*\n.*- console\.log/)
+    assert.equal(result.status, 0)
+  })
+
+  test("show the duration of each pass with --verbose", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "a.js", "--verbose"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.match(result.stdout, /pass 1: \d+\.\dms \(varToLetOrConst\)\n/)
+    assert.match(result.stdout, /pass 2: \d+\.\dms\n/)
+    assert.equal(result.status, 0)
+  })
+
+  test("print a unified diff with --diff", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n\nfoo(a);\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "const b = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "c.js"), "var x = {{{;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--diff"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.equal(
+      result.stdout,
+      [
+        "--- a/a.js",
+        "+++ b/a.js",
+        "@@ -1,3 +1,3 @@ varToLetOrConst",
+        "-var a = 1;",
+        "+const a = 1;",
+        " ",
+        " foo(a);",
+        "",
+      ].join("\n"),
+      "prints headers and context lines",
+    )
+    assert.match(result.stderr, /Error: c\.js: Unexpected token/, "prints errors")
+    assert.equal(result.status, 128, "exits with 128 on errors")
+  })
+
+  test("write the report to a file with --output", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, ".", "--diff", "--output", "upgrade.patch"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    assert.equal(result.stdout, "", "prints nothing to stdout")
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "upgrade.patch"), "utf8"),
+      "--- a/a.js\n+++ b/a.js\n@@ -1,1 +1,1 @@ varToLetOrConst\n-var a = 1;\n+const a = 1;\n",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "a.js"), "utf8"),
+      "var a = 1;\n",
+      "does not modify files",
+    )
+    assert.equal(result.status, 0)
+  })
+
+  test("error on --diff with --format", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--diff", "--format", "json"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /'--diff' cannot be used with option '--format/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("error on --output with text format", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--output", path.join(tempDir, "report.txt")],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /Error: '--output' cannot be used with '--format text'/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("error on --output to a missing directory", () => {
+    const result = spawnSync(
+      process.execPath,
+      [
+        CLI_PATH,
+        tempDir,
+        "--diff",
+        "--output",
+        path.join(tempDir, "missing", "x.patch"),
+      ],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /Error: ENOENT/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("error on --output with stdin", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--output", "x.patch"], {
+      encoding: "utf8",
+      input: "var x = 1;",
+      cwd: tempDir,
+    })
+
+    assert.match(result.stderr, /Error: '--output' cannot be used with stdin/)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("skip files that the cache knows to be up to date", async () => {
+    const testFile = path.join(tempDir, "test.js")
+    fs.writeFileSync(testFile, "var x = 1;\n")
+    const cache = await Cache.load(tempDir)
+    cache.update(testFile, cache.key("var x = 1;\n", { rules: {} }))
+    await cache.save()
+
+    const cached = spawnSync(process.execPath, [CLI_PATH, "test.js", "--check"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+    const uncached = spawnSync(
+      process.execPath,
+      [CLI_PATH, "test.js", "--check", "--no-cache"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    assert.equal(cached.status, 0, "skips the cached file")
+    assert.equal(uncached.status, 1, "processes the file with --no-cache")
+  })
+
+  test("cache up-to-date and written files", () => {
+    fs.writeFileSync(path.join(tempDir, "clean.js"), "const x = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "dirty.js"), "var x = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "error.js"), "var x = {{{;\n")
+
+    spawnSync(process.execPath, [CLI_PATH, "."], { encoding: "utf8", cwd: tempDir })
+    const dryRun = JSON.parse(
+      fs.readFileSync(
+        path.join(tempDir, "node_modules", ".cache", "esupgrade", "files.json"),
+        "utf8",
+      ),
+    )
+    spawnSync(process.execPath, [CLI_PATH, ".", "--write"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+    const written = JSON.parse(
+      fs.readFileSync(
+        path.join(tempDir, "node_modules", ".cache", "esupgrade", "files.json"),
+        "utf8",
+      ),
+    )
+
+    const realDir = fs.realpathSync(tempDir)
+    assert.deepEqual(Object.keys(dryRun), [path.join(realDir, "clean.js")])
+    assert.deepEqual(Object.keys(written).sort(), [
+      path.join(realDir, "clean.js"),
+      path.join(realDir, "dirty.js"),
+    ])
+  })
+
+  test("warn if the cache cannot be written", () => {
+    fs.writeFileSync(path.join(tempDir, "node_modules"), "")
+    fs.writeFileSync(path.join(tempDir, "test.js"), "const x = 1;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, "test.js"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.match(result.stderr, /Warning: Cannot write cache:/)
+    assert.equal(result.status, 0)
+  })
+
+  test("process files in parallel with --jobs", () => {
+    for (const name of ["a.js", "b.js", "c.js"]) {
+      fs.writeFileSync(path.join(tempDir, name), "var x = 1;\n")
+    }
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--write", "--jobs", "2", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stdout, /3 files upgraded/, "reports 3 files upgraded")
+    assert.equal(result.status, 0)
+  })
+
+  test("replace workers that exit while processing a file", () => {
+    fs.mkdirSync(path.join(tempDir, "src"))
+    for (const name of ["a.js", "b.js", "c.js"]) {
+      fs.writeFileSync(path.join(tempDir, "src", name), "var x = 1;\n")
+    }
+    // Exit the worker thread while it reads b.js
+    const preload = path.join(tempDir, "exit.mjs")
+    fs.writeFileSync(
+      preload,
+      `import fs from "node:fs/promises"
+import { isMainThread } from "node:worker_threads"
+if (!isMainThread) {
+  const { readFile } = fs
+  fs.readFile = (file, ...args) =>
+    String(file).endsWith("b.js") ? process.exit(3) : readFile(file, ...args)
+}
+`,
+    )
+
+    const result = spawnSync(
+      process.execPath,
+      ["--import", preload, CLI_PATH, "src", "--write", "--jobs", "1", "--no-cache"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    assert.match(
+      result.stderr,
+      /b\.js: Worker stopped with exit code 3/,
+      "reports the file as an error",
+    )
+    assert.match(result.stdout, /2 files upgraded/, "processes the other files")
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "src", "c.js"), "utf8"),
+      "const x = 1;\n",
+      "processes later files on a new worker",
+    )
+    assert.equal(result.status, 128, "exits with 128")
+  })
+
+  test("error on invalid --jobs", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--jobs", "0"], {
+      encoding: "utf8",
+    })
+
+    assert.match(result.stderr, /argument '0' is invalid\. Use a positive integer\./)
+    assert.equal(result.status, 1, "exits with 1")
+  })
+
+  test("terminate workers and exit with 130 on SIGINT", async () => {
+    for (const index of Array(50).keys()) {
+      fs.writeFileSync(path.join(tempDir, `${index}.js`), "var x = 1;\n")
+    }
+
+    const child = spawn(process.execPath, [CLI_PATH, tempDir, "--jobs", "1"])
+    await once(child.stdout, "data")
+    child.kill("SIGINT")
+    const [code] = await once(child, "exit")
+
+    assert.equal(code, 130, "exits with 130")
+  })
+
+  test("upgrade files whenever they change with --watch", async () => {
+    const child = spawn(process.execPath, [CLI_PATH, ".", "--watch", "--write"], {
+      cwd: tempDir,
+    })
+    let stdout = ""
+    child.stdout.setEncoding("utf8").on("data", (chunk) => {
+      stdout += chunk
+    })
+    const [message] = await once(child.stderr.setEncoding("utf8"), "data")
+    assert.match(message, /Watching \. for changes/)
+
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+    while (!stdout.includes("upgraded")) {
+      await once(child.stdout, "data")
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    child.kill("SIGINT")
+    const [code] = await once(child, "exit")
+
+    assert.equal(fs.readFileSync(path.join(tempDir, "a.js"), "utf8"), "const a = 1;\n")
+    assert.equal(stdout.match(/upgraded/g).length, 1, "ignores its own writes")
+    assert.equal(code, 130)
+  })
+
+  test("keep watching if a watched file is removed", async () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "const a = 1;\n")
+    const child = spawn(process.execPath, [CLI_PATH, "a.js", "--watch"], {
+      cwd: tempDir,
+    })
+    child.stderr.setEncoding("utf8")
+    await once(child.stderr, "data")
+
+    fs.rmSync(path.join(tempDir, "a.js"))
+    const [message] = await once(child.stderr, "data")
+    child.kill("SIGINT")
+    await once(child, "exit")
+
+    assert.match(message, /Error: Cannot access 'a\.js'/)
+  })
+
+  test("reject --watch with formats written at the end", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--watch", "--format", "json"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /'--watch' cannot be used with '--format json'/)
+    assert.equal(result.status, 1)
+  })
+
+  test("reject --watch with stdin", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--watch"], {
+      encoding: "utf8",
+      input: "var a = 1;\n",
+    })
+
+    assert.match(result.stderr, /'--watch' cannot be used with stdin/)
+    assert.equal(result.status, 1)
+  })
+
+  test("only upgrade some files with --max-files", () => {
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "c.js"), "var c = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--max-files", "2", "--write", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.equal(fs.readFileSync(path.join(tempDir, "a.js"), "utf8"), "const a = 1;\n")
+    assert.equal(fs.readFileSync(path.join(tempDir, "b.js"), "utf8"), "const b = 1;\n")
+    assert.equal(fs.readFileSync(path.join(tempDir, "c.js"), "utf8"), "var c = 1;\n")
+    assert.match(result.stdout, /c\.js \S*\(deferred\)/)
+    assert.match(result.stdout, /✓ 2 files upgraded\n1 file remains to be upgraded/)
+    assert.equal(result.status, 0)
+  })
+
+  test("upgrade files with the fewest changes first with --max-changes", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\nvar b = 2;\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var c = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "c.js"), "var d = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [
+        CLI_PATH,
+        tempDir,
+        "--max-changes",
+        "2",
+        "--order",
+        "changes",
+        "--format",
+        "json",
+        "--no-cache",
+      ],
+      { encoding: "utf8" },
+    )
+
+    const report = JSON.parse(result.stdout)
+    assert.deepEqual(
+      report.files.map(({ status }) => status),
+      ["deferred", "modified", "modified"],
+    )
+    assert.deepEqual(report.summary, {
+      total: 3,
+      modified: 2,
+      unchanged: 0,
+      deferred: 1,
+      errors: 0,
+    })
+    assert.equal(result.status, 0)
+  })
+
+  test("stop at the first file that exceeds --max-changes", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 1;\nvar c = 2;\n")
+    fs.writeFileSync(path.join(tempDir, "c.js"), "var d = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--max-changes", "2", "--write", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.equal(fs.readFileSync(path.join(tempDir, "a.js"), "utf8"), "const a = 1;\n")
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "b.js"), "utf8"),
+      "var b = 1;\nvar c = 2;\n",
+    )
+    assert.equal(fs.readFileSync(path.join(tempDir, "c.js"), "utf8"), "var d = 1;\n")
+    assert.match(result.stdout, /✓ 1 file upgraded\n2 files remain to be upgraded/)
+    assert.equal(result.status, 0)
+  })
+
+  test("upgrade the first file even if it exceeds --max-changes", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\nvar b = 2;\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var c = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--max-changes", "1", "--write", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "a.js"), "utf8"),
+      "const a = 1;\nconst b = 2;\n",
+    )
+    assert.equal(fs.readFileSync(path.join(tempDir, "b.js"), "utf8"), "var c = 1;\n")
+    assert.match(
+      result.stderr,
+      /Warning: .*a\.js: 2 changes exceed --max-changes 1, the file is upgraded as a whole/,
+    )
+    assert.match(result.stdout, /1 file remains to be upgraded/)
+    assert.equal(result.status, 0)
+  })
+
+  test("exit with 1 on deferred files with --check", () => {
+    fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+    fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 1;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--max-changes", "1", "--check", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stdout, /1 file remains to be upgraded/)
+    assert.equal(result.status, 1)
+  })
+
+  test("reject --order without --max-files or --max-changes", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--order", "changes"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /'--order' requires '--max-files' or '--max-changes'/)
+    assert.equal(result.status, 1)
+  })
+
+  test("error on invalid --max-files", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--max-files", "0"],
+      {
+        encoding: "utf8",
+      },
+    )
+
+    assert.match(result.stderr, /Use a positive integer/)
+    assert.equal(result.status, 1)
+  })
+
+  test("apply accepted changes with --interactive", () => {
+    const first = path.join(tempDir, "a.js")
+    const second = path.join(tempDir, "b.js")
+    fs.writeFileSync(
+      first,
+      "var a = 1;\nconsole.log(a);\nvar b = 2;\nconsole.log(b);\n",
+    )
+    fs.writeFileSync(second, "console.log(c);\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--interactive"], {
+      encoding: "utf8",
+      input: "n\nfoo\na\nn\n",
+    })
+
+    assert.equal(
+      fs.readFileSync(first, "utf8"),
+      "var a = 1;\nconsole.info(a);\nvar b = 2;\nconsole.info(b);\n",
+    )
+    assert.equal(fs.readFileSync(second, "utf8"), "console.info(c);\n")
+    assert.match(
+      result.stdout,
+      /line 2: consoleLogToInfo.*\n.*\n.*\n.*line 4: consoleLogToInfo/,
+    )
+    assert.match(result.stdout, /\(1\/2\) Apply this change \[y,n,a,q,\?\]\?/)
+    assert.match(
+      result.stdout,
+      /a - apply this change and all later changes/,
+      "prints help",
+    )
+    assert.doesNotMatch(result.stdout, /\(1\/1\)/, "accepts all changes of the rule")
+    assert.match(result.stdout, /✓ 2 files upgraded/)
+    assert.equal(result.status, 0)
+  })
+
+  test("apply changes made together at once with --interactive", () => {
+    const testFile = path.join(tempDir, "a.js")
+    fs.writeFileSync(
+      testFile,
+      "function f() { return fetch(url).then(function (r) {\n  return r.json()\n}) }\n",
+    )
+
+    const result = spawnSync(process.execPath, [CLI_PATH, testFile, "--interactive"], {
+      encoding: "utf8",
+      input: "y\n",
+    })
+
+    assert.equal(
+      fs.readFileSync(testFile, "utf8"),
+      "async function f() { return await fetch(url).then(r => {\n  return r.json()\n}); }\n",
+    )
+    assert.match(result.stdout, /\(1\/1\) Apply this change/)
+    assert.equal(result.status, 0)
+  })
+
+  test("reject accepted changes that leave unparsable code with --interactive", () => {
+    const testFile = path.join(tempDir, "a.js")
+    const code = `function load() {
+  start();
+  fetch(a)
+    .then((r) => {
+      use(r);
+    })
+    .catch((e) => {
+      fail(e);
+    });
+  return fetch(b);
+}
+`
+    fs.writeFileSync(testFile, code)
+
+    // The function is made async in the first pass, the chain is awaited in the second
+    const result = spawnSync(process.execPath, [CLI_PATH, testFile, "--interactive"], {
+      encoding: "utf8",
+      input: "n\ny\n",
+    })
+
+    assert.equal(fs.readFileSync(testFile, "utf8"), code, "leaves the file unchanged")
+    assert.match(result.stdout, /\(2\/2\) Apply this change/)
+    assert.match(
+      result.stderr,
+      /Accepted changes leave code that cannot be parsed: Unexpected reserved word 'await'/,
+    )
+    assert.equal(result.status, 128, "exits with 128")
+  })
+
+  test("report write errors with --interactive", () => {
+    const testFile = path.join(tempDir, "a.js")
+    fs.writeFileSync(testFile, "var x = 1;\n")
+    const preload = path.join(tempDir, "readonly.mjs")
+    fs.writeFileSync(
+      preload,
+      `import fs from "node:fs/promises"
+fs.writeFile = async () => {
+  throw new Error("read-only file system")
+}
+`,
+    )
+
+    const result = spawnSync(
+      process.execPath,
+      ["--import", preload, CLI_PATH, testFile, "--interactive", "--no-cache"],
+      { encoding: "utf8", input: "y\n" },
+    )
+
+    assert.equal(fs.readFileSync(testFile, "utf8"), "var x = 1;\n")
+    assert.match(result.stderr, /read-only file system/)
+    assert.equal(result.status, 128, "exits with 128")
+  })
+
+  test("skip the remaining changes on quit with --interactive", () => {
+    const first = path.join(tempDir, "a.js")
+    const second = path.join(tempDir, "b.js")
+    fs.writeFileSync(first, "var a = 1;\nconsole.log(a);\n")
+    fs.writeFileSync(second, "var c = 1;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--interactive"], {
+      encoding: "utf8",
+      input: "y\nq\n",
+    })
+
+    assert.equal(fs.readFileSync(first, "utf8"), "const a = 1;\nconsole.log(a);\n")
+    assert.equal(fs.readFileSync(second, "utf8"), "var c = 1;\n")
+    assert.doesNotMatch(result.stdout, /b\.js/)
+    assert.match(result.stdout, /✓ 1 file upgraded/)
+    assert.equal(result.status, 0)
+  })
+
+  test("skip the remaining changes at the end of input with --interactive", () => {
+    const testFile = path.join(tempDir, "a.js")
+    fs.writeFileSync(testFile, "var a = 1;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, testFile, "--interactive"], {
+      encoding: "utf8",
+      input: "",
+    })
+
+    assert.equal(fs.readFileSync(testFile, "utf8"), "var a = 1;\n")
+    assert.equal(result.status, 0)
+  })
+
+  test("reject --interactive with --write", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--interactive", "--write"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /'--interactive' cannot be used with option '--write'/)
+    assert.equal(result.status, 1)
+  })
+
+  test("reject --interactive with stdin", () => {
+    const result = spawnSync(process.execPath, [CLI_PATH, "-", "--interactive"], {
+      encoding: "utf8",
+      input: "var a = 1;\n",
+    })
+
+    assert.match(result.stderr, /'--interactive' cannot be used with stdin/)
+    assert.equal(result.status, 1)
+  })
+
+  describe("git", () => {
+    const git = (...args) => spawnSync("git", args, { cwd: tempDir, encoding: "utf8" })
+
+    beforeEach(() => {
+      git("init", "--quiet")
+      git("config", "user.email", "test@example.com")
+      git("config", "user.name", "Test")
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 1;\n")
+      git("add", ".")
+      git("commit", "--quiet", "-m", "Initial commit")
+    })
+
+    test("only process changed files with --changed", () => {
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+      fs.writeFileSync(path.join(tempDir, "c.js"), "var c = 1;\n")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, ".", "--changed", "--write", "--no-cache"],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(fs.readFileSync(path.join(tempDir, "a.js"), "utf8"), "var a = 1;\n")
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "b.js"), "utf8"),
+        "const b = 2;\n",
+      )
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "c.js"), "utf8"),
+        "const c = 1;\n",
+      )
+      assert.match(result.stdout, /✓ 2 files upgraded/)
+      assert.equal(result.status, 0)
+    })
+
+    test("match changed files through symbolic links with --changed", () => {
+      const link = `${tempDir}-link`
+      fs.symlinkSync(tempDir, link)
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+
+      try {
+        const result = spawnSync(
+          process.execPath,
+          [CLI_PATH, link, "--changed", "--write", "--no-cache"],
+          { encoding: "utf8", cwd: link },
+        )
+
+        assert.equal(
+          fs.readFileSync(path.join(tempDir, "b.js"), "utf8"),
+          "const b = 2;\n",
+        )
+        assert.match(result.stdout, /✓ 1 file upgraded/)
+      } finally {
+        fs.rmSync(link)
+      }
+    })
+
+    test("only process files changed since a ref with --changed", () => {
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+      git("commit", "--quiet", "-am", "Change b")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, "--changed", "HEAD~1", "--write", "--no-cache", "."],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(fs.readFileSync(path.join(tempDir, "a.js"), "utf8"), "var a = 1;\n")
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "b.js"), "utf8"),
+        "const b = 2;\n",
+      )
+      assert.equal(result.status, 0)
+    })
+
+    test("take file patterns after --changed that are no refs as patterns", () => {
+      fs.mkdirSync(path.join(tempDir, "src"))
+      fs.writeFileSync(path.join(tempDir, "src", "c.js"), "var c = 1;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, "--changed", "src", "--write", "--no-cache"],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "src", "c.js"), "utf8"),
+        "const c = 1;\n",
+      )
+      assert.equal(fs.readFileSync(path.join(tempDir, "b.js"), "utf8"), "var b = 2;\n")
+      assert.equal(result.status, 0)
+    })
+
+    test("only upgrade changed lines with --changed-lines", () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\nvar c = 1;\n")
+      fs.writeFileSync(path.join(tempDir, "c.js"), "var c = 1;\n")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, "--changed-lines", "HEAD", "--write", "."],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "a.js"), "utf8"),
+        "var a = 1;\nconst c = 1;\n",
+      )
+      assert.equal(fs.readFileSync(path.join(tempDir, "b.js"), "utf8"), "var b = 1;\n")
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "c.js"), "utf8"),
+        "const c = 1;\n",
+      )
+      assert.equal(result.status, 0)
+    })
+
+    test("do not upgrade renamed files with --changed-lines", () => {
+      git("mv", "a.js", "d.js")
+      git("commit", "--quiet", "-m", "Rename a")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, "--changed-lines", "HEAD~1", "--write", "--no-cache", "."],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(fs.readFileSync(path.join(tempDir, "d.js"), "utf8"), "var a = 1;\n")
+      assert.equal(result.status, 0)
+    })
+
+    test("stage upgraded files with --staged --write", () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+      git("add", "a.js")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, ".", "--staged", "--write", "--no-cache"],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(git("show", ":a.js").stdout, "const a = 2;\n", "stages the upgrade")
+      assert.equal(fs.readFileSync(path.join(tempDir, "b.js"), "utf8"), "var b = 2;\n")
+      assert.equal(git("diff", "--name-only").stdout, "b.js\n")
+      assert.equal(result.status, 0)
+    })
+
+    test("do not stage files with unstaged changes with --staged --write", () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+      git("add", "a.js")
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 3;\n")
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI_PATH, ".", "--staged", "--write", "--no-cache"],
+        { encoding: "utf8", cwd: tempDir },
+      )
+
+      assert.equal(git("show", ":a.js").stdout, "var a = 2;\n")
+      assert.equal(
+        fs.readFileSync(path.join(tempDir, "a.js"), "utf8"),
+        "const a = 3;\n",
+      )
+      assert.match(result.stderr, /Warning: a\.js has unstaged changes/)
+      assert.equal(result.status, 0)
+    })
+
+    test("error on unknown ref with --changed", () => {
+      const result = spawnSync(process.execPath, [CLI_PATH, "--changed=unknown", "."], {
+        encoding: "utf8",
+        cwd: tempDir,
+      })
+
+      assert.match(result.stderr, /Error: git diff failed/)
+      assert.equal(result.status, 1)
+    })
+
+    test("reject --staged with stdin", () => {
+      const result = spawnSync(process.execPath, [CLI_PATH, "-", "--staged"], {
+        encoding: "utf8",
+        input: "var a = 1;\n",
+      })
+
+      assert.match(result.stderr, /'--staged' cannot be used with stdin/)
+      assert.equal(result.status, 1)
+    })
+  })
+
+  test("choose the parser by file extension", () => {
+    fs.writeFileSync(path.join(tempDir, "cast.ts"), "var x = <number>y;\n")
+    fs.writeFileSync(path.join(tempDir, "flow.js"), "// @flow\nvar x: ?number = 1;\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--write"], {
+      encoding: "utf8",
+    })
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "cast.ts"), "utf8"),
+      "const x = <number>y;\n",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "flow.js"), "utf8"),
+      "// @flow\nconst x: ?number = 1;\n",
+    )
+    assert.equal(result.status, 0)
+  })
+
+  test("upgrade scripts of Vue single-file components", () => {
+    const component = `<template>
+  <p>{{ a }}</p>
+</template>
+
+<script setup lang="ts">
+var a = <number>b
+</script>
+
+<style>
+p { color: red }
+</style>
+`
+    fs.writeFileSync(path.join(tempDir, "App.vue"), component)
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--write", "--format", "json", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "App.vue"), "utf8"),
+      component.replace("var a = <number>b", "let a = <number>b;"),
+    )
+    const [file] = JSON.parse(result.stdout).files
+    assert.deepEqual(file.changes[0].start, { line: 6, column: 1 }, "offsets changes")
+    assert.equal(result.status, 0)
+  })
+
+  test("upgrade scripts of Svelte and Astro components", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "App.svelte"),
+      "<script>\n  var count = 0\n</script>\n\n<button on:click={() => count++}>{count}</button>\n",
+    )
+    fs.writeFileSync(
+      path.join(tempDir, "index.astro"),
+      '---\nvar title = "Home"\n---\n<h1>{title}</h1>\n',
+    )
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--write"], {
+      encoding: "utf8",
+    })
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "App.svelte"), "utf8"),
+      "<script>\n  let count = 0;\n</script>\n\n<button on:click={() => count++}>{count}</button>\n",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "index.astro"), "utf8"),
+      '---\nconst title = "Home";\n---\n<h1>{title}</h1>\n',
+    )
+    assert.equal(result.status, 0)
+  })
+
+  test("report syntax errors at lines of the component", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "App.svelte"),
+      "<h1>Title</h1>\n<script>\n  var count = ;\n</script>\n",
+    )
+
+    const result = spawnSync(process.execPath, [CLI_PATH, tempDir, "--no-cache"], {
+      encoding: "utf8",
+    })
+
+    assert.match(result.stderr, /App\.svelte: Unexpected token \(3:14\)/)
+    assert.equal(result.status, 128)
+  })
+
+  test("upgrade inline scripts of HTML documents", () => {
+    const html = `<!DOCTYPE html>\r
+<html>\r
+<head>\r
+  <script src="app.js"></script>\r
+  <script>var total = 0</script>\r
+  <script type="module">\r
+    var item = items.find(function (item) { return item.id === id })\r
+  </script>\r
+</head>\r
+<body onclick="total++"></body>\r
+</html>\r
+`
+    fs.writeFileSync(path.join(tempDir, "index.html"), html)
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, path.join(tempDir, "index.html"), "--write"],
+      { encoding: "utf8" },
+    )
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "index.html"), "utf8"),
+      html.replace(
+        "var item = items.find(function (item) { return item.id === id })",
+        "const item = items.find(item => { return item.id === id });",
+      ),
+    )
+    assert.equal(result.status, 0)
+  })
+
+  test("upgrade code blocks of Markdown documents", () => {
+    fs.writeFileSync(
+      path.join(tempDir, "README.md"),
+      "# Example\n\n```js\nvar a = 1\n```\n\n<!-- esupgrade-skip -->\n```js\nvar b = 2\n```\n\n```ts\nvar c = ;\n```\n",
+    )
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "**/*.md", "--write", "--format", "json"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "README.md"), "utf8"),
+      "# Example\n\n```js\nconst a = 1;\n```\n\n<!-- esupgrade-skip -->\n```js\nvar b = 2\n```\n\n```ts\nvar c = ;\n```\n",
+    )
+    assert.deepEqual(JSON.parse(result.stdout).files[0].warnings, [
+      "Skipped code that cannot be parsed: Unexpected token (13:8)",
+    ])
+    assert.equal(result.status, 0)
+  })
+
+  test("only upgrade documents that are passed explicitly", () => {
+    fs.writeFileSync(path.join(tempDir, "README.md"), "```js\nvar a = 1\n```\n")
+    fs.writeFileSync(path.join(tempDir, "index.html"), "<script>var b = 2</script>\n")
+
+    const result = spawnSync(process.execPath, [CLI_PATH, ".", "--write"], {
+      encoding: "utf8",
+      cwd: tempDir,
+    })
+
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "README.md"), "utf8"),
+      "```js\nvar a = 1\n```\n",
+    )
+    assert.equal(
+      fs.readFileSync(path.join(tempDir, "index.html"), "utf8"),
+      "<script>var b = 2</script>\n",
+    )
+    assert.match(result.stdout, /All files are up to date/)
+  })
+
+  test("print warnings about code that cannot be parsed on every run", () => {
+    fs.writeFileSync(path.join(tempDir, "README.md"), "```js\nvar c = ;\n```\n")
+
+    const results = [[], [], ["--diff"]].map((args) =>
+      spawnSync(process.execPath, [CLI_PATH, "README.md", ...args], {
+        encoding: "utf8",
+        cwd: tempDir,
+      }),
+    )
+
+    for (const result of results) {
+      assert.match(
+        result.stderr,
+        /Warning: .*README\.md: Skipped code that cannot be parsed: Unexpected token \(2:8\)/,
+      )
+      assert.equal(result.status, 0)
+    }
+  })
+
+  test("report warnings as SARIF notifications", () => {
+    fs.writeFileSync(path.join(tempDir, "README.md"), "```js\nvar c = ;\n```\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, "README.md", "--format", "sarif", "--no-cache"],
+      { encoding: "utf8", cwd: tempDir },
+    )
+
+    const [invocation] = JSON.parse(result.stdout).runs[0].invocations
+    assert.ok(invocation.executionSuccessful)
+    assert.deepEqual(invocation.toolExecutionNotifications, [
+      {
+        level: "warning",
+        message: { text: "Skipped code that cannot be parsed: Unexpected token (2:8)" },
+        locations: [{ physicalLocation: { artifactLocation: { uri: "README.md" } } }],
+      },
+    ])
+  })
+
+  test("override the parser with --parser", () => {
+    fs.writeFileSync(path.join(tempDir, "cast.ts"), "var x = <number>y;\n")
+
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--parser", "tsx", "--no-cache"],
+      { encoding: "utf8" },
+    )
+
+    assert.match(result.stderr, /Error: .*cast\.ts: Unterminated JSX contents/)
+    assert.equal(result.status, 128)
+  })
+
+  test("error on unknown --parser", () => {
+    const result = spawnSync(
+      process.execPath,
+      [CLI_PATH, tempDir, "--parser", "espree"],
+      {
+        encoding: "utf8",
+      },
+    )
+
+    assert.match(
+      result.stderr,
+      /argument 'espree' is invalid\. Allowed choices are babel, flow, ts, tsx\./,
+    )
+    assert.equal(result.status, 1)
+  })
+
   test("exit with 1 on syntax errors", () => {
     const testFile = path.join(tempDir, "test.js")
     fs.writeFileSync(testFile, `var x = {{{;`)
@@ -0,0 +1,205 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { afterEach, beforeEach, describe, suite, test } from "node:test"
+import { Configuration } from "../src/config.js"
+
+suite("config", () => {
+  describe("Configuration", () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test("load esupgrade.config.js from a parent directory", async () => {
+      const packageDir = path.join(tempDir, "packages", "app")
+      fs.mkdirSync(packageDir, { recursive: true })
+      fs.writeFileSync(
+        path.join(tempDir, "esupgrade.config.js"),
+        `export default { baseline: "newly-available" }`,
+      )
+      fs.writeFileSync(path.join(packageDir, "package.json"), `{"name": "app"}`)
+
+      const configuration = await Configuration.load(packageDir)
+
+      assert.equal(configuration.directory, tempDir)
+      assert.deepEqual(configuration.settings, { baseline: "newly-available" })
+    })
+
+    test("load the esupgrade key from package.json", async () => {
+      fs.writeFileSync(
+        path.join(tempDir, "package.json"),
+        JSON.stringify({ esupgrade: { rules: { disable: ["consoleLogToInfo"] } } }),
+      )
+
+      const configuration = await Configuration.load(tempDir)
+
+      assert.deepEqual(configuration.settings, {
+        rules: { disable: ["consoleLogToInfo"] },
+      })
+    })
+
+    test("prefer esupgrade.config.js over package.json", async () => {
+      fs.writeFileSync(path.join(tempDir, "esupgrade.config.js"), `export default {}`)
+      fs.writeFileSync(
+        path.join(tempDir, "package.json"),
+        JSON.stringify({ esupgrade: { baseline: "newly-available" } }),
+      )
+
+      const configuration = await Configuration.load(tempDir)
+
+      assert.deepEqual(configuration.settings, {})
+    })
+
+    test("use an empty config module without default export", async () => {
+      fs.writeFileSync(path.join(tempDir, "esupgrade.config.js"), `export const x = 1`)
+
+      const configuration = await Configuration.load(tempDir)
+
+      assert.deepEqual(configuration.settings, {})
+    })
+
+    test("reject unknown options", () => {
+      assert.throws(() => new Configuration({ baselin: "newly-available" }), {
+        message: /Unknown configuration option: baselin\. Valid options: baseline/,
+      })
+      assert.throws(
+        () =>
+          new Configuration({ overrides: [{ files: [], include: [], exclude: [] }] }),
+        { message: /Unknown override options: include, exclude/ },
+      )
+    })
+
+    test("reject invalid baselines", () => {
+      assert.throws(() => new Configuration({ baseline: "latest" }), {
+        message: /Invalid baseline: latest\./,
+      })
+      assert.throws(
+        () => new Configuration({ overrides: [{ files: [], baseline: "20" }] }),
+        { message: /Invalid baseline: 20\./ },
+      )
+      assert.doesNotThrow(() => new Configuration({ baseline: 2022 }))
+    })
+
+    test("reject unknown transformers", () => {
+      assert.throws(() => new Configuration({ rules: { disable: ["consoleLog"] } }), {
+        message: /Unknown transformer: consoleLog\./,
+      })
+      assert.throws(
+        () =>
+          new Configuration({ overrides: [{ files: [], rules: { only: ["var"] } }] }),
+        { message: /Unknown transformer: var\./ },
+      )
+    })
+
+    test("reject settings of the wrong type", () => {
+      assert.throws(() => new Configuration({ include: "src" }), {
+        message:
+          'Invalid configuration option include: expected an array of strings, got "src"',
+      })
+      assert.throws(() => new Configuration({ exclude: [1] }), {
+        message: /Invalid configuration option exclude: expected an array of strings/,
+      })
+      assert.throws(() => new Configuration({ rules: ["consoleLogToInfo"] }), {
+        message: "Invalid configuration option rules: expected an object",
+      })
+      assert.throws(
+        () => new Configuration({ rules: { disable: "consoleLogToInfo" } }),
+        {
+          message: /Invalid configuration option rules\.disable: expected an array/,
+        },
+      )
+      assert.throws(() => new Configuration({ overrides: {} }), {
+        message: "Invalid configuration option overrides: expected an array",
+      })
+      assert.throws(() => new Configuration({ overrides: [{ rules: {} }] }), {
+        message: "Missing configuration option overrides[0].files",
+      })
+      assert.throws(
+        () => new Configuration({ overrides: [{ files: [], rules: { only: "a" } }] }),
+        { message: /Invalid configuration option overrides\[0\]\.rules\.only:/ },
+      )
+    })
+
+    test("select files with include and exclude patterns", () => {
+      const configuration = new Configuration(
+        { include: ["src/**"], exclude: ["**/*.generated.js"] },
+        tempDir,
+      )
+
+      assert(configuration.includes(path.join(tempDir, "src", "index.js")))
+      assert(!configuration.includes(path.join(tempDir, "src", "types.generated.js")))
+      assert(!configuration.includes(path.join(tempDir, "test", "index.js")))
+      assert(new Configuration({}, tempDir).includes(path.join(tempDir, "index.js")))
+    })
+
+    test("resolve overrides in order", () => {
+      const configuration = new Configuration(
+        {
+          baseline: "widely-available",
+          rules: { disable: ["consoleLogToInfo"] },
+          overrides: [
+            { files: ["legacy/**"], rules: { only: ["varToLetOrConst"] } },
+            { files: ["legacy/new/**"], baseline: "newly-available" },
+          ],
+        },
+        tempDir,
+      )
+
+      assert.deepEqual(configuration.resolve(path.join(tempDir, "index.js")), {
+        baseline: "widely-available",
+        rules: { disable: ["consoleLogToInfo"] },
+      })
+      assert.deepEqual(
+        configuration.resolve(path.join(tempDir, "legacy", "new", "a.js")),
+        {
+          baseline: "newly-available",
+          rules: { disable: ["consoleLogToInfo"], only: ["varToLetOrConst"] },
+        },
+      )
+    })
+
+    test("add up disabled transformers", () => {
+      const configuration = new Configuration(
+        {
+          rules: { disable: ["consoleLogToInfo"] },
+          overrides: [
+            { files: ["legacy/**"], rules: { disable: ["varToLetOrConst"] } },
+          ],
+        },
+        tempDir,
+      )
+
+      assert.deepEqual(
+        configuration.resolve(path.join(tempDir, "legacy", "a.js"), {
+          rules: { disable: ["consoleLogToInfo", "replaceAll"] },
+        }).rules,
+        { disable: ["consoleLogToInfo", "varToLetOrConst", "replaceAll"] },
+      )
+    })
+
+    test("prefer command line settings over overrides", () => {
+      const configuration = new Configuration(
+        { overrides: [{ files: ["**"], baseline: "newly-available" }] },
+        tempDir,
+      )
+
+      assert.deepEqual(
+        configuration.resolve(path.join(tempDir, "index.js"), {
+          baseline: "widely-available",
+        }),
+        { baseline: "widely-available", rules: {} },
+      )
+      assert.deepEqual(configuration.resolve(undefined), {
+        baseline: undefined,
+        rules: {},
+      })
+    })
+  })
+})
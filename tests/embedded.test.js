@@ -0,0 +1,207 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { EXTRACTORS, findExtractor, transformEmbedded } from "../src/embedded.js"
+
+/**
+ * Create blocks for the content of all `<script>` tags.
+ *
+ * @param {string} code - Markup.
+ * @param {string} [parser] - Parser name of the blocks.
+ * @returns {import("../src/embedded.js").Block[]} Blocks.
+ */
+function scripts(code, parser = "babel") {
+  return [...code.matchAll(/<script>([\s\S]*?)<\/script>/g)].map((match) => ({
+    start: match.index + "<script>".length,
+    end: match.index + "<script>".length + match[1].length,
+    parser,
+  }))
+}
+
+suite("embedded", () => {
+  describe("findExtractor", () => {
+    test("find extractors by file extension", () => {
+      assert.equal(findExtractor("src/App.vue"), EXTRACTORS[".vue"])
+      assert.equal(findExtractor("src/App.svelte"), EXTRACTORS[".svelte"])
+      assert.equal(findExtractor("src/pages/index.astro"), EXTRACTORS[".astro"])
+      assert.equal(findExtractor("index.html"), EXTRACTORS[".html"])
+      assert.equal(findExtractor("index.htm"), EXTRACTORS[".htm"])
+      assert.equal(findExtractor("README.md"), EXTRACTORS[".md"])
+      assert.equal(findExtractor("docs/index.mdx"), EXTRACTORS[".mdx"])
+    })
+
+    test("return undefined for scripts and stdin", () => {
+      assert.equal(findExtractor("a.js"), undefined)
+      assert.equal(findExtractor("a.toString"), undefined)
+      assert.equal(findExtractor(undefined), undefined)
+    })
+  })
+
+  describe("transformEmbedded", () => {
+    test("transform scripts in place", () => {
+      const code =
+        "<p>var a = 1</p>\n<script>\nvar b = 2\n</script>\n<script>var c = Math.pow(d, 2)</script>\n"
+
+      const result = transformEmbedded(code, scripts(code))
+
+      assert.equal(
+        result.code,
+        "<p>var a = 1</p>\n<script>\nconst b = 2;\n</script>\n<script>const c = d ** 2;</script>\n",
+      )
+      assert.ok(result.modified)
+      assert.deepEqual(result.transformers, [
+        "varToLetOrConst",
+        "mathPowToExponentiation",
+      ])
+    })
+
+    test("report changes with positions in the file", () => {
+      const code =
+        "<p></p>\n<script>\nvar b = 2\n</script>\n<script>var c = Math.pow(d, 2)</script>\n"
+
+      const { changes } = transformEmbedded(code, scripts(code))
+
+      assert.deepEqual(
+        changes.map(({ start, end, transformers, pass }) => ({
+          start,
+          end,
+          transformers,
+          pass,
+        })),
+        [
+          {
+            start: { line: 3, column: 1 },
+            end: { line: 3, column: 10 },
+            transformers: ["varToLetOrConst"],
+            pass: 1,
+          },
+          {
+            start: { line: 5, column: 9 },
+            end: { line: 5, column: 31 },
+            transformers: ["mathPowToExponentiation", "varToLetOrConst"],
+            pass: 1,
+          },
+        ],
+      )
+    })
+
+    test("merge the passes of all scripts", () => {
+      const code =
+        "<script>var a = 1</script><script>const b = Math.pow(c, 2)</script><script>d</script>"
+
+      const { passes } = transformEmbedded(code, scripts(code))
+
+      assert.deepEqual(
+        passes.map(({ transformers }) => transformers),
+        [["varToLetOrConst", "mathPowToExponentiation"], []],
+      )
+      assert.ok(
+        passes.every(({ duration }) => duration >= 0),
+        "sums durations",
+      )
+    })
+
+    test("use the parser of each block unless a parser is given", () => {
+      const code = "<script>var a = <number>b</script>"
+
+      assert.equal(
+        transformEmbedded(code, scripts(code, "ts")).code,
+        "<script>const a = <number>b;</script>",
+      )
+      assert.throws(() =>
+        transformEmbedded(code, scripts(code, "ts"), { parser: "babel" }),
+      )
+    })
+
+    test("keep top-level bindings of templates reassignable", () => {
+      const code = "<script>var a = 1</script>"
+      const [block] = scripts(code)
+
+      assert.equal(
+        transformEmbedded(code, [{ ...block, template: true }]).code,
+        "<script>let a = 1;</script>",
+      )
+    })
+
+    test("keep global variables of classic scripts", () => {
+      const code =
+        "<script>'use strict';\nvar a = 1</script><script>'use strict';\nvar b = 2</script>"
+      const [first, second] = scripts(code)
+
+      assert.equal(
+        transformEmbedded(code, [
+          { ...first, sourceType: "script" },
+          { ...second, sourceType: "module" },
+        ]).code,
+        "<script>'use strict';\nvar a = 1</script><script>const b = 2;</script>",
+      )
+    })
+
+    test("only change the given lines of the file", () => {
+      const code = "<template />\n<script>\nvar a = 1\nvar b = 2\n</script>\n"
+
+      assert.equal(
+        transformEmbedded(code, scripts(code), { lines: [{ start: 4, end: 4 }] }).code,
+        "<template />\n<script>\nvar a = 1\nconst b = 2;\n</script>\n",
+      )
+    })
+
+    test("keep Windows line breaks", () => {
+      const code = "<script>\r\nvar a = 1\r\nfoo(a)\r\n</script>\r\n"
+
+      assert.equal(
+        transformEmbedded(code, scripts(code)).code,
+        "<script>\r\nconst a = 1;\r\nfoo(a)\r\n</script>\r\n",
+      )
+    })
+
+    test("report syntax errors with positions in the file", () => {
+      const code = "<p></p>\n<script>\n  var a = ;\n</script><script>a = ;</script>"
+      const [first, second] = scripts(code)
+
+      assert.throws(() => transformEmbedded(code, [first]), {
+        name: "SyntaxError",
+        message: "Unexpected token (3:10)",
+        loc: { line: 3, column: 10 },
+      })
+      assert.throws(() => transformEmbedded(code, [second]), {
+        message: "Unexpected token (4:21)",
+      })
+    })
+
+    test("leave scripts that may be invalid unchanged with a warning", () => {
+      const code = "<script>var a = 1</script>\n<script>var b = ;</script>"
+      const [first, second] = scripts(code)
+
+      const result = transformEmbedded(code, [first, { ...second, skipInvalid: true }])
+
+      assert.equal(
+        result.code,
+        "<script>const a = 1;</script>\n<script>var b = ;</script>",
+      )
+      assert.deepEqual(result.warnings, [
+        "Skipped code that cannot be parsed: Unexpected token (2:16)",
+      ])
+    })
+
+    test("rethrow other errors", () => {
+      const code = "<script>a</script>"
+
+      assert.throws(() => transformEmbedded(code, scripts(code, "coffee")), {
+        message: /^Invalid parser: coffee/,
+      })
+    })
+
+    test("leave files without scripts unchanged", () => {
+      const result = transformEmbedded("<p>var a</p>", [])
+
+      assert.deepEqual(result, {
+        code: "<p>var a</p>",
+        modified: false,
+        transformers: [],
+        changes: [],
+        passes: [],
+        warnings: [],
+      })
+    })
+  })
+})
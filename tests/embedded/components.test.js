@@ -0,0 +1,97 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { extractFrontmatter, extractScripts } from "../../src/embedded/components.js"
+
+suite("components", () => {
+  describe("extractScripts", () => {
+    test("extract script and script setup blocks", () => {
+      const code = `<template><div /></template>
+<script>
+var a = 1
+</script>
+<script setup lang="ts">
+var b = 2
+</script>
+<style>a {}</style>
+`
+      const blocks = extractScripts(code)
+
+      assert.deepEqual(
+        blocks.map(({ start, end, parser }) => [code.slice(start, end), parser]),
+        [
+          ["\nvar a = 1\n", "babel"],
+          ["\nvar b = 2\n", "ts"],
+        ],
+      )
+      assert.ok(
+        blocks.every(({ template }) => template),
+        "exposes bindings to the template",
+      )
+    })
+
+    test("extract module and instance scripts of Svelte components", () => {
+      const code = `<script context="module">
+  var a = 1
+</script>
+<script lang="typescript">
+  var b = 2
+</script>
+<h1>{b}</h1>
+<p><script>var c = 3</script></p>
+`
+
+      assert.deepEqual(
+        extractScripts(code).map(({ start, end, parser }) => [
+          code.slice(start, end),
+          parser,
+        ]),
+        [
+          ["\n  var a = 1\n", "babel"],
+          ["\n  var b = 2\n", "ts"],
+        ],
+      )
+    })
+
+    test("choose the parser by language", () => {
+      assert.deepEqual(
+        ["js", "jsx", "ts", "tsx"].map(
+          (lang) => extractScripts(`<script lang="${lang}"></script>`)[0].parser,
+        ),
+        ["babel", "babel", "ts", "tsx"],
+      )
+    })
+
+    test("skip external scripts and other languages", () => {
+      assert.deepEqual(
+        extractScripts(
+          '<script src="./a.js"></script><script lang="coffee">a</script>',
+        ),
+        [],
+      )
+    })
+  })
+
+  describe("extractFrontmatter", () => {
+    test("extract the frontmatter of Astro components", () => {
+      const code = '---\nconst a = "b"\n---\n<h1>{a}</h1>\n<script>var c</script>\n'
+      const blocks = extractFrontmatter(code)
+
+      assert.deepEqual(
+        blocks.map(({ start, end, parser }) => [code.slice(start, end), parser]),
+        [['\nconst a = "b"\n', "ts"]],
+      )
+    })
+
+    test("extract empty frontmatter", () => {
+      const code = "\n---\r\n---\n<h1></h1>"
+      const [{ start, end }] = extractFrontmatter(code)
+
+      assert.equal(code.slice(start, end), "\r\n")
+    })
+
+    test("ignore components without frontmatter", () => {
+      assert.deepEqual(extractFrontmatter("<h1>a</h1>\n---\nb\n---\n"), [])
+      assert.deepEqual(extractFrontmatter("---\nunclosed\n"), [])
+    })
+  })
+})
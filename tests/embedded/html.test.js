@@ -0,0 +1,41 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { extractInlineScripts } from "../../src/embedded/html.js"
+
+suite("html", () => {
+  describe("extractInlineScripts", () => {
+    test("extract classic and module scripts", () => {
+      const code = `<!DOCTYPE html>
+<head>
+  <script>var a = 1</script>
+  <script type="text/javascript">var b = 2</script>
+  <script type=" Module ">var c = 3</script>
+</head>
+<body><div><script type="application/javascript">var d = 4</script></div></body>
+`
+
+      assert.deepEqual(
+        extractInlineScripts(code).map(({ start, end, parser, sourceType }) => [
+          code.slice(start, end),
+          parser,
+          sourceType,
+        ]),
+        [
+          ["var a = 1", "babel", "script"],
+          ["var b = 2", "babel", "script"],
+          ["var c = 3", "babel", "module"],
+          ["var d = 4", "babel", "script"],
+        ],
+      )
+    })
+
+    test("skip external scripts and other types", () => {
+      assert.deepEqual(
+        extractInlineScripts(
+          '<script src="a.js"></script><script type="application/json">{}</script><script type="text/x-template"><p></p></script>',
+        ),
+        [],
+      )
+    })
+  })
+})
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { extractCodeBlocks } from "../../src/embedded/markdown.js"
+
+/**
+ * List the code and parser of all blocks of a document.
+ *
+ * @param {string} code - Markdown document.
+ * @returns {Array<[string, string]>} Code and parser of each block.
+ */
+function codeBlocks(code) {
+  return extractCodeBlocks(code).map(({ start, end, parser }) => [
+    code.slice(start, end),
+    parser,
+  ])
+}
+
+suite("markdown", () => {
+  describe("extractCodeBlocks", () => {
+    test("extract JavaScript and TypeScript code blocks", () => {
+      assert.deepEqual(
+        codeBlocks(
+          '```js\na\n```\n\n```javascript\nb\n```\n\n~~~jsx\nc\n~~~\n\n```TS title="d.ts"\nd\n```\n\n````tsx\ne\n```\nf\n````\n',
+        ),
+        [
+          ["a\n", "babel"],
+          ["b\n", "babel"],
+          ["c\n", "babel"],
+          ["d\n", "ts"],
+          ["e\n```\nf\n", "tsx"],
+        ],
+      )
+    })
+
+    test("extract indented code blocks", () => {
+      assert.deepEqual(codeBlocks("- item\n\n  ```js\n  a\n  ```\n"), [
+        ["  a\n", "babel"],
+      ])
+    })
+
+    test("leave code blocks that cannot be parsed unchanged", () => {
+      assert.ok(extractCodeBlocks("```js\na\n```\n")[0].skipInvalid)
+    })
+
+    test("skip code blocks after a skip marker", () => {
+      assert.deepEqual(
+        codeBlocks(
+          "<!-- esupgrade-skip -->\n\n```js\na\n```\n<!--esupgrade-skip-->\n```js\nb\n```\n```js\nc\n```\n",
+        ),
+        [["c\n", "babel"]],
+      )
+    })
+
+    test("skip other languages and unclosed code blocks", () => {
+      assert.deepEqual(codeBlocks("```python\na\n```\n```\nb\n```\n```js\nc\n"), [])
+    })
+  })
+})
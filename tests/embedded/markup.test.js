@@ -0,0 +1,106 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { rawTextElements, topLevelElements } from "../../src/embedded/markup.js"
+
+/**
+ * List the top-level elements of markup with their content.
+ *
+ * @param {string} code - Markup.
+ * @param {function(string): Generator<import("../../src/embedded/markup.js").Element>} [find] - Function
+ *   finding the elements.
+ * @returns {Array<{name: string, attributes: Object<string, string>, content: string}>} Elements.
+ */
+function elements(code, find = topLevelElements) {
+  return [...find(code)].map(({ name, attributes, start, end }) => ({
+    name,
+    attributes: Object.fromEntries(attributes),
+    content: code.slice(start, end),
+  }))
+}
+
+suite("markup", () => {
+  describe("topLevelElements", () => {
+    test("yield elements with their attributes and content", () => {
+      assert.deepEqual(
+        elements(
+          `<script setup lang="ts" type='module' data-x=1>a</script>\n<style scoped>b</style>`,
+        ),
+        [
+          {
+            name: "script",
+            attributes: { setup: "", lang: "ts", type: "module", "data-x": "1" },
+            content: "a",
+          },
+          { name: "style", attributes: { scoped: "" }, content: "b" },
+        ],
+      )
+    })
+
+    test("skip nested elements", () => {
+      const code =
+        "<template>\n  <template v-if='a'><script>x</script></template>\n  <template/>\n</template>\n<script>y</script>"
+
+      assert.deepEqual(
+        elements(code).map(({ name, content }) => [name, content]),
+        [
+          [
+            "template",
+            "\n  <template v-if='a'><script>x</script></template>\n  <template/>\n",
+          ],
+          ["script", "y"],
+        ],
+      )
+    })
+
+    test("end scripts at the first end tag", () => {
+      assert.deepEqual(
+        elements("<script>const a = '<script>'</script >").map(
+          ({ content }) => content,
+        ),
+        ["const a = '<script>'"],
+      )
+    })
+
+    test("ignore comments, self-closing and unclosed elements", () => {
+      assert.deepEqual(
+        elements("<!-- <script>a</script> --><Comp /><script>b</script><style>"),
+        [{ name: "script", attributes: {}, content: "b" }],
+      )
+    })
+
+    test("match tag names case-insensitively", () => {
+      assert.deepEqual(
+        elements("<SCRIPT LANG=ts>a</Script>").map(({ name, attributes }) => [
+          name,
+          attributes,
+        ]),
+        [["script", { lang: "ts" }]],
+      )
+    })
+  })
+
+  describe("rawTextElements", () => {
+    test("yield scripts and styles at any depth", () => {
+      assert.deepEqual(
+        elements(
+          "<html><head><style>a {}</style></head><body><div><script type=module>b</script></div></body></html>",
+          rawTextElements,
+        ),
+        [
+          { name: "style", attributes: {}, content: "a {}" },
+          { name: "script", attributes: { type: "module" }, content: "b" },
+        ],
+      )
+    })
+
+    test("skip comments and the content of raw text elements", () => {
+      assert.deepEqual(
+        elements(
+          "<!-- <script>a</script> --><textarea><script>b</script></textarea><script>c",
+          rawTextElements,
+        ).map(({ name, content }) => [name, content]),
+        [["textarea", "<script>b</script>"]],
+      )
+    })
+  })
+})
@@ -0,0 +1,175 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import jscodeshift from "jscodeshift"
+import { Engine, MAX_PASSES } from "../src/engine.js"
+
+const j = jscodeshift.withParser("tsx")
+
+/**
+ * Create a transformer renaming identifiers.
+ *
+ * @param {string} from - Name to replace.
+ * @param {string} to - Replacement name.
+ * @returns {import("../src/index.js").Transformer} Transformer.
+ */
+function rename(from, to) {
+  return (root) =>
+    root
+      .find(j.Identifier, { name: from })
+      .forEach((path) => {
+        path.node.name = to
+      })
+      .size() > 0
+}
+
+suite("engine", () => {
+  describe("Engine", () => {
+    test("apply transformers until the code settles", () => {
+      const result = new Engine([
+        ["bToC", rename("b", "c")],
+        ["aToB", rename("a", "b")],
+      ]).run("a;\n")
+
+      assert.equal(result.code, "c;\n")
+      assert.deepEqual(result.transformers, ["aToB", "bToC"])
+      assert.deepEqual(
+        result.passes.map(({ transformers }) => transformers),
+        [["aToB"], ["bToC"], []],
+      )
+      assert.ok(
+        result.passes.every(({ duration }) => duration >= 0),
+        "reports durations",
+      )
+    })
+
+    test("attribute changes of the same pass by the nodes each transformer changed", () => {
+      const result = new Engine([
+        ["aToB", rename("a", "b")],
+        ["cToD", rename("c", "d")],
+      ]).run("a;\nx;\nc;\n")
+
+      assert.equal(result.code, "b;\nx;\nd;\n")
+      assert.deepEqual(
+        result.changes.map(({ transformers, pass }) => ({ transformers, pass })),
+        [
+          { transformers: ["aToB"], pass: 1 },
+          { transformers: ["cToD"], pass: 1 },
+        ],
+      )
+    })
+
+    test("only rerun transformers that look for nodes on changed lines", () => {
+      const calls = { literals: 0, all: 0 }
+      new Engine([
+        ["aToB", rename("a", "b")],
+        [
+          "literals",
+          (root) => {
+            calls.literals++
+            return root.find(j.NumericLiteral).size() < 0
+          },
+        ],
+        [
+          "all",
+          () => {
+            calls.all++
+            return false
+          },
+        ],
+      ]).run("a;\n\n1;\n")
+
+      assert.equal(calls.literals, 1, "skips untouched node types")
+      assert.equal(calls.all, 2, "reruns transformers without root.find")
+    })
+
+    test("error if the transformers oscillate", () => {
+      const toggle = (root) =>
+        root
+          .find(j.Identifier)
+          .forEach((path) => {
+            path.node.name = path.node.name === "a" ? "b" : "a"
+          })
+          .size() > 0
+      const engine = new Engine([["toggle", toggle]], { maxPasses: 3 })
+
+      assert.throws(() => engine.run("a;\n"), {
+        message: "Transformers did not settle after 3 passes, last changed by toggle",
+      })
+    })
+
+    test("pass the context to transformers", () => {
+      const contexts = []
+      new Engine(
+        [
+          [
+            "context",
+            (root, context) => {
+              contexts.push(context)
+              return false
+            },
+          ],
+        ],
+        { context: { template: true } },
+      ).run("a;\n")
+
+      assert.deepEqual(contexts, [{ template: true }])
+    })
+
+    test("only change the given lines", () => {
+      const result = new Engine([["aToB", rename("a", "b")]], {
+        lines: [{ start: 2, end: 2 }],
+      }).run("a;\na;\na;\n")
+
+      assert.equal(result.code, "a;\nb;\na;\n")
+      assert.deepEqual(result.transformers, ["aToB"])
+    })
+
+    test("only change lines derived from the given lines", () => {
+      const split = (root) =>
+        root
+          .find(j.ExpressionStatement, { expression: { name: "a" } })
+          .forEach((path) => {
+            j(path).replaceWith([
+              j.expressionStatement(j.identifier("c")),
+              j.expressionStatement(j.identifier("b")),
+            ])
+          })
+          .size() > 0
+      const result = new Engine(
+        [
+          ["split", split],
+          ["cToD", rename("c", "d")],
+        ],
+        { lines: [{ start: 2, end: 2 }] },
+      ).run("c;\na;\n")
+
+      assert.equal(result.code, "c;\nd;\nb;\n")
+    })
+
+    test("undo all changes if a transformer fails on the partial changes", () => {
+      let calls = 0
+      const aToB = rename("a", "b")
+      const result = new Engine(
+        [
+          [
+            "aToB",
+            (root) => {
+              if (calls++ > 0) {
+                throw new Error("partial")
+              }
+              return aToB(root)
+            },
+          ],
+        ],
+        { lines: [{ start: 2, end: 2 }] },
+      ).run("a;\na;\n")
+
+      assert.equal(result.code, "a;\na;\n")
+      assert(!result.modified)
+    })
+
+    test("limit passes by default", () => {
+      assert.equal(new Engine([]).maxPasses, MAX_PASSES)
+    })
+  })
+})
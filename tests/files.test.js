@@ -0,0 +1,278 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { afterEach, beforeEach, describe, suite, test } from "node:test"
+import { FileFinder, IgnoreRules } from "../src/files.js"
+
+suite("files", () => {
+  describe("FileFinder", () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test("walk directories in alphabetical order", async () => {
+      fs.mkdirSync(path.join(tempDir, "lib"))
+      fs.writeFileSync(path.join(tempDir, "lib", "b.mjs"), "")
+      fs.writeFileSync(path.join(tempDir, "lib", "a.cjs"), "")
+      fs.writeFileSync(path.join(tempDir, "c.tsx"), "")
+
+      const files = await new FileFinder().find([tempDir])
+
+      assert.deepEqual(files, [
+        path.join(tempDir, "c.tsx"),
+        path.join(tempDir, "lib", "a.cjs"),
+        path.join(tempDir, "lib", "b.mjs"),
+      ])
+    })
+
+    test("skip node_modules, dot-directories, documents and unsupported files", async () => {
+      fs.mkdirSync(path.join(tempDir, "node_modules"))
+      fs.mkdirSync(path.join(tempDir, ".git"))
+      fs.writeFileSync(path.join(tempDir, "node_modules", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, ".git", "hook.js"), "")
+      fs.writeFileSync(path.join(tempDir, "notes.txt"), "")
+      fs.writeFileSync(path.join(tempDir, "README.md"), "")
+      fs.writeFileSync(path.join(tempDir, "index.html"), "")
+      fs.writeFileSync(path.join(tempDir, ".eslintrc.js"), "")
+
+      const files = await new FileFinder().find([tempDir])
+
+      assert.deepEqual(files, [path.join(tempDir, ".eslintrc.js")])
+    })
+
+    test("keep explicit files regardless of extension", async () => {
+      const file = path.join(tempDir, "script")
+      fs.writeFileSync(file, "")
+
+      const files = await new FileFinder().find([file])
+
+      assert.deepEqual(files, [file])
+    })
+
+    test("deduplicate files", async () => {
+      const file = path.join(tempDir, "index.js")
+      fs.writeFileSync(file, "")
+
+      const files = await new FileFinder().find([file, tempDir])
+
+      assert.deepEqual(files, [file])
+    })
+
+    test("expand glob patterns", async () => {
+      fs.mkdirSync(path.join(tempDir, "src", "node_modules"), { recursive: true })
+      fs.writeFileSync(path.join(tempDir, "src", "index.ts"), "")
+      fs.writeFileSync(path.join(tempDir, "src", "types.generated.ts"), "")
+      fs.writeFileSync(path.join(tempDir, "src", "node_modules", "index.ts"), "")
+
+      const files = await new FileFinder(tempDir).find([
+        "src/**/*.{js,ts}",
+        "!**/*.generated.ts",
+      ])
+
+      assert.deepEqual(files, [path.join("src", "index.ts")])
+    })
+
+    test("expand absolute glob patterns", async () => {
+      fs.mkdirSync(path.join(tempDir, "src"))
+      fs.writeFileSync(path.join(tempDir, "src", "index.js"), "")
+
+      const files = await new FileFinder(tempDir).find([
+        path.join(tempDir, "*", "*.js"),
+      ])
+
+      assert.deepEqual(files, [path.join(tempDir, "src", "index.js")])
+    })
+
+    test("skip files ignored by .gitignore and .esupgradeignore", async () => {
+      fs.mkdirSync(path.join(tempDir, "dist"))
+      fs.mkdirSync(path.join(tempDir, "vendor"))
+      fs.writeFileSync(path.join(tempDir, ".gitignore"), "dist/\n*.min.js\n")
+      fs.writeFileSync(path.join(tempDir, ".esupgradeignore"), "/vendor\n")
+      fs.writeFileSync(path.join(tempDir, "dist", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "vendor", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "app.min.js"), "")
+      fs.writeFileSync(path.join(tempDir, "app.js"), "")
+
+      const finder = new FileFinder(tempDir)
+
+      assert.deepEqual(await finder.find([tempDir]), [path.join(tempDir, "app.js")])
+      assert.deepEqual(await finder.find(["**/*.js"]), ["app.js"])
+      assert.deepEqual(await finder.find([path.join(tempDir, "app.min.js")]), [])
+    })
+
+    test("skip files ignored by ignore files in subdirectories", async () => {
+      fs.mkdirSync(path.join(tempDir, "src", "generated"), { recursive: true })
+      fs.writeFileSync(path.join(tempDir, ".gitignore"), "*.gen.js\n")
+      fs.writeFileSync(
+        path.join(tempDir, "src", ".gitignore"),
+        "generated/\n!keep.gen.js\n",
+      )
+      fs.writeFileSync(path.join(tempDir, "src", "generated", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "src", "keep.gen.js"), "")
+      fs.writeFileSync(path.join(tempDir, "src", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "generated.js"), "")
+      fs.writeFileSync(path.join(tempDir, "app.gen.js"), "")
+
+      const finder = new FileFinder(tempDir)
+
+      assert.deepEqual(await finder.find(["."]), [
+        "generated.js",
+        path.join("src", "index.js"),
+        path.join("src", "keep.gen.js"),
+      ])
+      assert.deepEqual(await finder.find(["**/*.js"]), [
+        "generated.js",
+        path.join("src", "index.js"),
+        path.join("src", "keep.gen.js"),
+      ])
+      assert.deepEqual(
+        await finder.find([path.join("src", "generated", "index.js")]),
+        [],
+      )
+    })
+
+    test("skip files ignored by the repository root from a subdirectory", async () => {
+      fs.mkdirSync(path.join(tempDir, ".git"))
+      fs.mkdirSync(path.join(tempDir, "src", "dist"), { recursive: true })
+      fs.writeFileSync(path.join(tempDir, ".gitignore"), "dist/\n")
+      fs.writeFileSync(path.join(tempDir, "src", "dist", "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "src", "index.js"), "")
+
+      const files = await new FileFinder(path.join(tempDir, "src")).find(["."])
+
+      assert.deepEqual(files, ["index.js"])
+    })
+
+    test("expand glob patterns in alphabetical order", async () => {
+      for (const name of ["c.js", "a.js", "b.js"]) {
+        fs.writeFileSync(path.join(tempDir, name), "")
+      }
+
+      const files = await new FileFinder(tempDir).find(["*.js"])
+
+      assert.deepEqual(files, ["a.js", "b.js", "c.js"])
+    })
+
+    test("report patterns that match no files", async () => {
+      fs.mkdirSync(path.join(tempDir, "empty"))
+      fs.writeFileSync(path.join(tempDir, "index.js"), "")
+      const unmatched = []
+
+      const files = await new FileFinder(tempDir).find(
+        ["*.js", "*.ts", "empty", "!index.js"],
+        { onUnmatched: (pattern) => unmatched.push(pattern) },
+      )
+
+      assert.deepEqual(files, [])
+      assert.deepEqual(unmatched, ["*.js", "*.ts", "empty"])
+    })
+
+    test("reject inaccessible paths", async () => {
+      await assert.rejects(new FileFinder().find([path.join(tempDir, "missing")]), {
+        message: /Cannot access '.*missing'/,
+      })
+    })
+
+    test("resolve the directories to watch", async () => {
+      fs.mkdirSync(path.join(tempDir, "src"))
+      fs.writeFileSync(path.join(tempDir, "index.js"), "")
+      fs.writeFileSync(path.join(tempDir, "app.js"), "")
+
+      const directories = await new FileFinder(tempDir).directories([
+        "src",
+        "index.js",
+        "app.js",
+        "lib/**/*.js",
+        "test*.js",
+        "!src/vendor",
+      ])
+
+      assert.deepEqual(directories, [
+        { directory: path.join(tempDir, "src"), recursive: true },
+        { directory: tempDir, recursive: false },
+        { directory: path.join(tempDir, "lib"), recursive: true },
+        { directory: tempDir, recursive: true },
+      ])
+    })
+
+    test("reject inaccessible directories to watch", async () => {
+      await assert.rejects(new FileFinder(tempDir).directories(["missing"]), {
+        message: /Cannot access 'missing'/,
+      })
+    })
+  })
+
+  describe("IgnoreRules", () => {
+    test("match patterns at any depth", () => {
+      const rules = new IgnoreRules(["*.log"])
+
+      assert(rules.isIgnored("debug.log"), "ignore top-level match")
+      assert(rules.isIgnored(path.join("logs", "debug.log")), "ignore nested match")
+      assert(!rules.isIgnored("debug.js"), "keep other files")
+    })
+
+    test("anchor patterns containing a slash", () => {
+      const rules = new IgnoreRules(["/build", "docs/*.js"])
+
+      assert(
+        rules.isIgnored(path.join("build", "index.js")),
+        "ignore anchored directory",
+      )
+      assert(
+        !rules.isIgnored(path.join("src", "build", "index.js")),
+        "keep nested match",
+      )
+      assert(rules.isIgnored(path.join("docs", "index.js")), "ignore anchored glob")
+      assert(!rules.isIgnored(path.join("src", "docs", "index.js")), "keep nested glob")
+    })
+
+    test("match directory patterns against directories only", () => {
+      const rules = new IgnoreRules(["cache/"])
+
+      assert(rules.isIgnored("cache", true), "ignore directory")
+      assert(
+        rules.isIgnored(path.join("cache", "index.js")),
+        "ignore directory contents",
+      )
+      assert(!rules.isIgnored("cache"), "keep file with the same name")
+    })
+
+    test("apply negated patterns in order", () => {
+      const rules = new IgnoreRules(["*.js", "!keep.js", "# comment", "", "\\!bang.js"])
+
+      assert(rules.isIgnored("index.js"), "ignore matching file")
+      assert(!rules.isIgnored("keep.js"), "re-include negated file")
+      assert(!rules.isIgnored("# comment"), "skip comments")
+      assert(rules.isIgnored("!bang.js"), "unescape leading characters")
+    })
+
+    test("give precedence to ignore files in subdirectories", async (t) => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-"))
+      t.after(() => fs.rmSync(root, { recursive: true, force: true }))
+      fs.mkdirSync(path.join(root, "src"))
+      fs.writeFileSync(path.join(root, ".gitignore"), "*.js\n")
+      fs.writeFileSync(path.join(root, "src", ".gitignore"), "!index.js\n")
+
+      const rules = await IgnoreRules.load(root, ["!app.js"])
+      await rules.loadDirectories(path.join(root, "src"))
+
+      assert(rules.isIgnored("index.js"), "apply ignore file of the directory")
+      assert(!rules.isIgnored(path.join("src", "index.js")), "apply nested ignore file")
+      assert(rules.isIgnored(path.join("src", "lib.js")), "keep parent rules")
+      assert(!rules.isIgnored("app.js"), "give precedence to additional lines")
+    })
+
+    test("keep paths outside the root directory", () => {
+      const rules = new IgnoreRules(["*.js"])
+
+      assert(!rules.isIgnored(path.join("..", "index.js")))
+    })
+  })
+})
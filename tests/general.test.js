@@ -1,6 +1,6 @@
 import assert from "node:assert/strict"
 import { describe, suite, test } from "node:test"
-import { transform } from "../src/index.js"
+import { applyChanges, groupChanges, transform, validateSyntax } from "../src/index.js"
 
 suite("widely-available", () => {
   describe("general", () => {
@@ -20,6 +20,244 @@ suite("widely-available", () => {
       assert.match(result.code, /const x = 1/)
     })
 
+    test("baseline option", () => {
+      const result = transform(
+        `const p = new Promise((resolve) => resolve(getData()));`,
+        { baseline: "newly-available" },
+      )
+
+      assert(result.modified, "transform with baseline option")
+      assert.match(result.code, /Promise\.try/)
+    })
+
+    test("baseline year", () => {
+      const input = `var x = 1;\nconst last = Array.of(1)[Array.of(1).length - 1];`
+
+      const before = transform(input, { baseline: 2021 })
+      assert.match(before.code, /const x = 1/, "include earlier features")
+      assert.match(
+        before.code,
+        /\[Array\.of\(1\)\.length - 1\]/,
+        "exclude later features",
+      )
+
+      const after = transform(input, { baseline: 2022 })
+      assert.match(
+        after.code,
+        /Array\.of\(1\)\.at\(-1\)/,
+        "include features of the year",
+      )
+    })
+
+    test("baseline year includes newly available features", () => {
+      const input = `const p = new Promise((resolve) => resolve(getData()));`
+
+      assert(!transform(input, { baseline: "2024" }).modified, "exclude Promise.try")
+      assert.match(transform(input, { baseline: "2025" }).code, /Promise\.try/)
+    })
+
+    test("reject invalid baselines", () => {
+      assert.throws(() => transform(input, { baseline: "baseline-2022" }), {
+        message:
+          /^Invalid baseline: baseline-2022\. Use widely-available, newly-available or a year/,
+      })
+      assert.throws(() => transform(input, { baseline: 22 }), {
+        message: /^Invalid baseline: 22\./,
+      })
+    })
+
+    test("targets", () => {
+      const input = `var x = 1;\nconst p = new Promise((resolve) => resolve(getData()));`
+
+      const before = transform(input, { targets: "chrome 127, firefox 134" })
+      assert.match(before.code, /const x = 1/, "include supported features")
+      assert.match(before.code, /new Promise/, "exclude unsupported features")
+
+      const after = transform(input, { targets: ["chrome 128", "firefox 134"] })
+      assert.match(after.code, /Promise\.try/, "include newly available features")
+    })
+
+    test("targets within a baseline", () => {
+      const result = transform(
+        `const p = new Promise((resolve) => resolve(getData()));`,
+        { baseline: "widely-available", targets: "chrome 128" },
+      )
+
+      assert(!result.modified, "exclude features outside of the baseline")
+    })
+
+    test("baseline as of a date", () => {
+      const input = `const p = new Promise((resolve) => resolve(getData()));`
+
+      assert(
+        !transform(input, { asOf: "2027-07-06" }).modified,
+        "exclude features before 30 months",
+      )
+      assert.match(
+        transform(input, { asOf: new Date(Date.UTC(2027, 6, 7)) }).code,
+        /Promise\.try/,
+        "include features after 30 months",
+      )
+      assert(
+        !transform(input, { baseline: "newly-available", asOf: "2025-01-06" }).modified,
+        "exclude features before their baseline date",
+      )
+      assert(
+        !transform(input, { baseline: 2025, asOf: "2025-01-06" }).modified,
+        "exclude features of the year before their baseline date",
+      )
+    })
+
+    test("reject invalid dates", () => {
+      assert.throws(() => transform(input, { asOf: "tomorrow" }), {
+        message: /^Invalid date: tomorrow\. Use an ISO 8601 date/,
+      })
+    })
+
+    test("list applied transformers", () => {
+      assert.deepEqual(transform(`var x = 1;\nconsole.log(x);`).transformers, [
+        "consoleLogToInfo",
+        "varToLetOrConst",
+      ])
+      assert.deepEqual(transform(`const x = 1;`).transformers, [])
+    })
+
+    test("parse TypeScript angle-bracket casts with the ts parser", () => {
+      const result = transform(`var x = <number>y;`, { parser: "ts" })
+
+      assert.equal(result.code, `const x = <number>y;`)
+    })
+
+    test("parse Flow annotations with the flow parser", () => {
+      const result = transform(`// @flow\nvar x: ?number = 1;`, { parser: "flow" })
+
+      assert.equal(result.code, `// @flow\nconst x: ?number = 1;`)
+    })
+
+    test("parse JavaScript with the babel parser", () => {
+      const result = transform(`var x = <div>{"a" + b}</div>;`, { parser: "babel" })
+
+      assert.equal(result.code, "const x = <div>{`a${b}`}</div>;")
+    })
+
+    test("reject unknown parsers", () => {
+      assert.throws(() => transform(`var x = 1;`, { parser: "espree" }), {
+        message: "Invalid parser: espree. Use babel, flow, ts, tsx",
+      })
+    })
+
+    test("attribute changes to transformers", () => {
+      const result = transform(`var x = 1;\nconsole.log(x);\n`)
+
+      assert.deepEqual(result.changes, [
+        {
+          start: { line: 1, column: 1 },
+          end: { line: 1, column: 4 },
+          removed: "var",
+          added: "const",
+          transformers: ["varToLetOrConst"],
+          pass: 1,
+        },
+        {
+          start: { line: 2, column: 9 },
+          end: { line: 2, column: 12 },
+          removed: "log",
+          added: "info",
+          transformers: ["consoleLogToInfo"],
+          pass: 1,
+        },
+      ])
+    })
+
+    test("apply only accepted changes", () => {
+      const code = `var x = 1;\nconsole.log(x);\n`
+      const result = transform(code)
+      const calls = []
+
+      assert.equal(
+        applyChanges(code, result, (change, index) => {
+          calls.push([change.transformers, index])
+          return change.transformers.includes("consoleLogToInfo")
+        }),
+        `var x = 1;\nconsole.info(x);\n`,
+      )
+      assert.deepEqual(calls, [
+        [["varToLetOrConst"], 0],
+        [["consoleLogToInfo"], 1],
+      ])
+    })
+
+    test("group changes made by the same transformer in the same pass", () => {
+      assert.deepEqual(
+        groupChanges([
+          { transformers: ["a", "b"], pass: 1 },
+          { transformers: ["c"], pass: 1 },
+          { transformers: ["c"], pass: 2 },
+          { transformers: ["b"], pass: 1 },
+          { transformers: ["c", "a"], pass: 1 },
+          { transformers: [] },
+        ]),
+        [[0, 1, 3, 4], [2], [5]],
+      )
+    })
+
+    test("group a function made async with the await in its body", () => {
+      const code = `function f() { return fetch(url).then(function (r) {\n  return r.json()\n}) }\n`
+      const result = transform(code)
+
+      assert.equal(result.changes.length, 2)
+      assert.deepEqual(groupChanges(result.changes), [[0, 1]])
+    })
+
+    test("validate the syntax of partially applied changes", () => {
+      assert.doesNotThrow(() =>
+        validateSyntax("async function f() { return await x }", { filePath: "a.js" }),
+      )
+      assert.throws(
+        () => validateSyntax("function f() { return await x }", { filePath: "a.js" }),
+        SyntaxError,
+      )
+      assert.throws(
+        () => validateSyntax("<script>var x = (</script>", { filePath: "a.vue" }),
+        SyntaxError,
+      )
+      assert.throws(
+        () => validateSyntax("let x: number", { filePath: "a.ts", parser: "babel" }),
+        SyntaxError,
+      )
+    })
+
+    test("only apply enabled rules", () => {
+      const result = transform(`var x = 1;\nconsole.log(x);`, {
+        rules: { only: ["consoleLogToInfo"] },
+      })
+
+      assert(result.modified, "transform with enabled rule")
+      assert.match(result.code, /var x = 1/)
+      assert.match(result.code, /console\.info\(x\)/)
+    })
+
+    test("skip disabled rules", () => {
+      const result = transform(`var x = 1;\nconsole.log(x);`, {
+        rules: { disable: ["consoleLogToInfo"] },
+      })
+
+      assert(result.modified, "transform with remaining rules")
+      assert.match(result.code, /const x = 1/)
+      assert.match(result.code, /console\.log\(x\)/)
+    })
+
+    test("reject unknown rules", () => {
+      assert.throws(
+        () =>
+          transform(`var x = 1;`, { rules: { only: ["varToConst"], disable: ["x"] } }),
+        {
+          message:
+            /^Unknown transformers: varToConst, x\. Valid transformers: .*varToLetOrConst.*promiseTry/,
+        },
+      )
+    })
+
     test("no changes", () => {
       const result = transform(`
     const x = 1;
@@ -0,0 +1,160 @@
+import assert from "node:assert/strict"
+import { execFileSync } from "node:child_process"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { afterEach, beforeEach, describe, suite, test } from "node:test"
+import { Git } from "../src/git.js"
+
+suite("git", () => {
+  describe("Git", () => {
+    let tempDir
+    let git
+
+    const run = (...args) =>
+      execFileSync("git", args, { cwd: tempDir, encoding: "utf8" })
+
+    beforeEach(() => {
+      tempDir = fs.realpathSync(
+        fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-")),
+      )
+      run("init", "--quiet", "--initial-branch=main")
+      run("config", "user.email", "test@example.com")
+      run("config", "user.name", "Test")
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 1;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 1;\n")
+      run("add", ".")
+      run("commit", "--quiet", "-m", "Initial commit")
+      git = new Git(tempDir)
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test("list uncommitted and untracked files", async () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+      fs.writeFileSync(path.join(tempDir, "c.js"), "var c = 1;\n")
+      fs.rmSync(path.join(tempDir, "b.js"))
+
+      const files = await git.changedFiles()
+
+      assert.deepEqual(files.sort(), [
+        path.join(tempDir, "a.js"),
+        path.join(tempDir, "c.js"),
+      ])
+    })
+
+    test("list files changed since the merge base of a ref", async () => {
+      run("switch", "--quiet", "-c", "feature")
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+      run("commit", "--quiet", "-am", "Change a")
+      run("switch", "--quiet", "main")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+      run("commit", "--quiet", "-am", "Change b")
+      run("switch", "--quiet", "feature")
+
+      const files = await git.changedFiles("main")
+
+      assert.deepEqual(files, [path.join(tempDir, "a.js")])
+    })
+
+    test("list files relative to the repository root from a subdirectory", async () => {
+      fs.mkdirSync(path.join(tempDir, "src"))
+      fs.writeFileSync(path.join(tempDir, "src", "c.js"), "var c = 1;\n")
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+
+      const files = await new Git(path.join(tempDir, "src")).changedFiles()
+
+      assert.deepEqual(files.sort(), [
+        path.join(tempDir, "a.js"),
+        path.join(tempDir, "src", "c.js"),
+      ])
+    })
+
+    test("list lines changed since the merge base of a ref", async () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "// a\nvar a = 2;\nvar b = 2;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "")
+
+      const lines = await git.changedLines()
+
+      assert.deepEqual(
+        lines,
+        new Map([
+          [path.join(tempDir, "a.js"), [{ start: 1, end: 3 }]],
+          [path.join(tempDir, "b.js"), []],
+        ]),
+      )
+    })
+
+    test("list changed lines of files with special characters", async () => {
+      fs.writeFileSync(path.join(tempDir, "ä b.js"), "var a = 1;\n")
+      run("add", ".")
+      run("commit", "--quiet", "-m", "Add file")
+      fs.writeFileSync(path.join(tempDir, "ä b.js"), "var a = 1;\nvar b = 1;\n")
+
+      const lines = await git.changedLines()
+
+      assert.deepEqual(
+        lines,
+        new Map([[path.join(tempDir, "ä b.js"), [{ start: 2, end: 2 }]]]),
+      )
+    })
+
+    test("list no lines of renamed files, mode changes and quoted paths", async () => {
+      fs.writeFileSync(path.join(tempDir, 'c"d.js'), "var c = 1;\n")
+      run("add", ".")
+      run("commit", "--quiet", "-m", "Add file")
+      run("mv", "a.js", "e.js")
+      run("commit", "--quiet", "-m", "Rename file")
+      fs.writeFileSync(path.join(tempDir, 'c"d.js'), "var c = 2;\n")
+      fs.chmodSync(path.join(tempDir, "b.js"), 0o755)
+
+      const lines = await git.changedLines("HEAD~1")
+
+      assert.deepEqual(
+        lines,
+        new Map([
+          [path.join(tempDir, "b.js"), []],
+          [path.join(tempDir, 'c"d.js'), [{ start: 1, end: 1 }]],
+          [path.join(tempDir, "e.js"), []],
+        ]),
+      )
+    })
+
+    test("list staged and unstaged files", async () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+      fs.writeFileSync(path.join(tempDir, "b.js"), "var b = 2;\n")
+      run("add", "a.js")
+
+      assert.deepEqual(await git.stagedFiles(), [path.join(tempDir, "a.js")])
+      assert.deepEqual(await git.unstagedFiles(), [path.join(tempDir, "b.js")])
+    })
+
+    test("stage files", async () => {
+      fs.writeFileSync(path.join(tempDir, "a.js"), "var a = 2;\n")
+
+      await git.add([path.join(tempDir, "a.js")])
+      await git.add([])
+
+      assert.deepEqual(await git.stagedFiles(), [path.join(tempDir, "a.js")])
+    })
+
+    test("check if names refer to commits", async () => {
+      assert(await git.isRef("HEAD"))
+      assert(await git.isRef("main"))
+      assert(!(await git.isRef("src")))
+      assert(!(await git.isRef("--all")))
+      assert(!(await new Git(os.tmpdir()).isRef("HEAD")))
+    })
+
+    test("throw with the error output of git", async () => {
+      await assert.rejects(git.changedFiles("unknown"), /git diff failed: fatal:/)
+      await assert.rejects(git.changedLines("unknown"), /git diff failed: fatal:/)
+      await assert.rejects(
+        new Git(os.tmpdir()).stagedFiles(),
+        /failed: fatal: not a git repository/,
+      )
+    })
+  })
+})
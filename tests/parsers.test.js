@@ -0,0 +1,50 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { detectParser, validateParser } from "../src/parsers.js"
+
+suite("parsers", () => {
+  describe("detectParser", () => {
+    test("choose the parser by file extension", () => {
+      assert.equal(detectParser("a.js", ""), "babel")
+      assert.equal(detectParser("a.jsx", ""), "babel")
+      assert.equal(detectParser("a.mjs", ""), "babel")
+      assert.equal(detectParser("a.cjs", ""), "babel")
+      assert.equal(detectParser("a.ts", ""), "ts")
+      assert.equal(detectParser("a.tsx", ""), "tsx")
+    })
+
+    test("default to TSX for stdin and unknown extensions", () => {
+      assert.equal(detectParser(undefined, ""), "tsx")
+      assert.equal(detectParser("a.txt", ""), "tsx")
+    })
+
+    test("parse JavaScript with a @flow pragma as Flow", () => {
+      assert.equal(detectParser("a.js", "// @flow\nconst x = 1;"), "flow")
+      assert.equal(
+        detectParser("a.js", "#!/usr/bin/env node\n/**\n * @flow strict\n */\n"),
+        "flow",
+      )
+      assert.equal(detectParser("a.ts", "// @flow\n"), "ts", "ignores TypeScript")
+    })
+
+    test("ignore @flow outside leading comments", () => {
+      assert.equal(detectParser("a.js", "const x = 1; // @flow\n"), "babel")
+      assert.equal(detectParser("a.js", "// @noflow\n"), "babel")
+    })
+  })
+
+  describe("validateParser", () => {
+    test("accept known parsers", () => {
+      for (const parser of [undefined, "babel", "flow", "ts", "tsx"]) {
+        assert.doesNotThrow(() => validateParser(parser))
+      }
+    })
+
+    test("reject unknown parsers", () => {
+      assert.throws(() => validateParser("espree"), {
+        message: "Invalid parser: espree. Use babel, flow, ts, tsx",
+      })
+      assert.throws(() => validateParser("toString"), /Invalid parser: toString/)
+    })
+  })
+})
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import jscodeshift from "jscodeshift"
+import { TreeSnapshot } from "../src/snapshot.js"
+
+const j = jscodeshift.withParser("tsx")
+
+suite("snapshot", () => {
+  describe("TreeSnapshot", () => {
+    test("find the lines of changed nodes", () => {
+      const root = j("a;\nb;\nc;\n")
+      const before = new TreeSnapshot(root.get().node)
+      root.find(j.Identifier, { name: "b" }).forEach((path) => {
+        path.node.name = "B"
+      })
+
+      assert.deepEqual(new TreeSnapshot(root.get().node).changedLines(before), [
+        { start: 2, end: 2 },
+      ])
+    })
+
+    test("find no changes after visiting the tree", () => {
+      const root = j("const a = /a/;\nf(a);\n")
+      const before = new TreeSnapshot(root.get().node)
+      root.find(j.Node).size()
+
+      assert.deepEqual(new TreeSnapshot(root.get().node).changedLines(before), [])
+    })
+
+    test("leave out the nodes a replaced node kept in place", () => {
+      const root = j("f(function () {\n  a;\n  b;\n});\n")
+      const before = new TreeSnapshot(root.get().node)
+      root
+        .find(j.FunctionExpression)
+        .replaceWith(({ node }) => j.arrowFunctionExpression(node.params, node.body))
+
+      assert.deepEqual(new TreeSnapshot(root.get().node).changedLines(before), [
+        { start: 1, end: 1 },
+        { start: 4, end: 4 },
+      ])
+    })
+
+    test("locate inserted nodes between their neighbors", () => {
+      const root = j("a;\n\nb;\n")
+      const before = new TreeSnapshot(root.get().node)
+      const statement = j.expressionStatement(j.identifier("c"))
+      root.get().node.program.body.splice(1, 0, statement)
+      const after = new TreeSnapshot(root.get().node, before.positions)
+
+      assert.deepEqual(after.changedLines(before), [{ start: 1, end: 3 }])
+      assert.deepEqual(after.locate(statement.expression), { start: 1, end: 3 })
+    })
+
+    test("locate moved nodes where they were moved to", () => {
+      const root = j("a;\nb;\nc;\n")
+      const before = new TreeSnapshot(root.get().node)
+      const { body } = root.get().node.program
+      body.push(body.shift())
+      const after = new TreeSnapshot(root.get().node, before.positions)
+
+      assert.deepEqual(after.changedLines(before), [
+        { start: 1, end: 1 },
+        { start: 3, end: 3 },
+      ])
+      assert.deepEqual(after.locate(body[2]), { start: 3, end: 3 })
+    })
+
+    test("separate items replaced in place", () => {
+      const root = j("a;\nb;\nc;\n")
+      const before = new TreeSnapshot(root.get().node)
+      root
+        .find(j.ExpressionStatement)
+        .filter(({ node }) => node.expression.name !== "b")
+        .replaceWith(({ node }) => j.returnStatement(node.expression))
+      const after = new TreeSnapshot(root.get().node, before.positions)
+
+      assert.deepEqual(
+        after.changes(before).map(({ index, ranges }) => ({ index, ranges })),
+        [
+          { index: 0, ranges: [{ start: 1, end: 1 }] },
+          { index: 2, ranges: [{ start: 3, end: 3 }] },
+        ],
+      )
+    })
+
+    test("restore changes", () => {
+      const root = j('f("s");\nb;\nc;\na;\n')
+      const before = new TreeSnapshot(root.get().node)
+      root.find(j.Identifier, { name: "a" }).forEach((path) => {
+        path.node.name = "A"
+        path.node.extra = { parenthesized: true }
+      })
+      root.find(j.StringLiteral).forEach((path) => {
+        path.node.extra.raw = "'s'"
+      })
+      root.find(j.ExpressionStatement).at(2).remove()
+      root
+        .find(j.ExpressionStatement)
+        .at(1)
+        .replaceWith(({ node }) => j.returnStatement(node.expression))
+      const after = new TreeSnapshot(root.get().node, before.positions)
+      before.restore(after.changes(before))
+
+      assert.equal(root.toSource(), 'f("s");\nb;\nc;\na;\n')
+    })
+  })
+})
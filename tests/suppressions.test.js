@@ -0,0 +1,143 @@
+import assert from "node:assert/strict"
+import { describe, suite, test } from "node:test"
+import { transform } from "../src/index.js"
+
+suite("suppressions", () => {
+  describe("esupgrade-ignore-next-line", () => {
+    test("skip all transformers on the next line", () => {
+      const result = transform(`var a = 1;
+// esupgrade-ignore-next-line
+var b = 2;
+var c = 3;`)
+
+      assert(result.modified, "transform other lines")
+      assert.match(result.code, /const a = 1;/)
+      assert.match(result.code, /var b = 2;/)
+      assert.match(result.code, /const c = 3;/)
+    })
+
+    test("skip only the named transformers", () => {
+      const result = transform(`// esupgrade-ignore-next-line consoleLogToInfo
+var x = console.log(1);`)
+
+      assert(result.modified, "transform with other transformers")
+      assert.match(result.code, /const x = console\.log\(1\);/)
+    })
+
+    test("support esupgrade-disable-next-line with a description", () => {
+      const result =
+        transform(`/* esupgrade-disable-next-line consoleLogToInfo, varToLetOrConst -- keep */
+var x = console.log(1);`)
+
+      assert(!result.modified, "skip all named transformers")
+    })
+
+    test("keep transforming other occurrences", () => {
+      const result = transform(`const items = [1];
+const other = [2];
+// esupgrade-ignore-next-line forLoopToForOf
+for (let i = 0; i < items.length; i++) {
+  const item = items[i];
+  consume(item);
+}
+for (let j = 0; j < other.length; j++) {
+  const item = other[j];
+  consume(item);
+}`)
+
+      assert(result.modified, "transform other loop")
+      assert.match(result.code, /for \(let i = 0; i < items\.length; i\+\+\)/)
+      assert.match(result.code, /for \(const item of other\)/)
+    })
+
+    test("skip transformers whose changes depend on suppressed lines", () => {
+      const result = transform(`function Person(name) {
+  this.name = name;
+}
+
+// esupgrade-ignore-next-line constructorToClass
+Person.prototype.greet = function () {
+  return this.name;
+};`)
+
+      assert.doesNotMatch(result.code, /class Person/, "keep constructor function")
+      assert.match(result.code, /Person\.prototype\.greet = function/)
+    })
+
+    test("skip transformers whose remaining changes would not parse", () => {
+      const code = `// esupgrade-ignore-next-line promiseToAsyncAwait
+function doWork() {
+  prepare();
+  return fetch("/api/data")
+    .then((result) => {
+      processResult(result);
+    });
+}`
+      const result = transform(code)
+
+      assert(!result.modified, "keep function synchronous")
+      assert.equal(result.code, code)
+    })
+  })
+
+  describe("esupgrade-disable", () => {
+    test("skip the whole file", () => {
+      const result = transform(`/* esupgrade-disable */
+var a = 1;
+console.log(a);`)
+
+      assert(!result.modified, "skip all transformers")
+    })
+
+    test("skip named transformers until esupgrade-enable", () => {
+      const result = transform(`var x = 1;
+/* esupgrade-disable varToLetOrConst */
+var a = 1;
+console.log(a);
+/* esupgrade-enable */
+var b = 2;`)
+
+      assert(result.modified, "transform outside of block")
+      assert.match(result.code, /const x = 1;/)
+      assert.match(result.code, /var a = 1;/)
+      assert.match(result.code, /console\.info\(a\);/)
+      assert.match(result.code, /const b = 2;/)
+    })
+
+    test("re-enable single transformers", () => {
+      const result = transform(`// esupgrade-ignore
+var a = console.log(1);
+// esupgrade-disable consoleLogToInfo
+// esupgrade-enable consoleLogToInfo varToLetOrConst
+var b = console.log(2);`)
+
+      assert(!result.modified, "keep all transformers disabled")
+    })
+
+    test("re-enable transformers disabled by name", () => {
+      const result = transform(`// esupgrade-disable consoleLogToInfo
+var a = console.log(1);
+// esupgrade-enable consoleLogToInfo
+var b = console.log(2);`)
+
+      assert.match(result.code, /const a = console\.log\(1\);/)
+      assert.match(result.code, /const b = console\.info\(2\);/)
+    })
+
+    test("ignore directives outside of comments", () => {
+      const result = transform(`const directive = "esupgrade-disable";
+var a = 1;`)
+
+      assert(result.modified, "transform code")
+      assert.match(result.code, /const a = 1;/)
+    })
+
+    test("ignore unknown directives", () => {
+      const result = transform(`// esupgrade-disabled
+var a = 1;`)
+
+      assert(result.modified, "transform code")
+      assert.match(result.code, /const a = 1;/)
+    })
+  })
+})
@@ -0,0 +1,188 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { afterEach, beforeEach, describe, suite, test } from "node:test"
+import { getBrowserSupport, Targets } from "../src/targets.js"
+import {
+  negativeIndexToAt,
+  objectKeysForEachToEntries,
+  varToLetOrConst,
+} from "../src/widelyAvailable.js"
+
+suite("targets", () => {
+  describe("Targets", () => {
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "esupgrade-test-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test("resolve a browserslist query", () => {
+      const targets = new Targets("chrome 90, safari 15")
+
+      assert.deepEqual(targets.browsers, ["chrome 90", "safari 15"])
+    })
+
+    test("reject invalid queries", () => {
+      assert.throws(() => new Targets("foo >= 1"), { message: /Unknown browser foo/ })
+    })
+
+    test("support features supported by every target", () => {
+      const targets = new Targets("chrome >= 92, firefox >= 90")
+
+      assert(
+        targets.supports(getBrowserSupport(negativeIndexToAt.compatFeatures)),
+        "supports Array.at",
+      )
+      assert(
+        targets.supports(getBrowserSupport(varToLetOrConst.compatFeatures)),
+        "supports const",
+      )
+    })
+
+    test("reject features unsupported by any target", () => {
+      const targets = new Targets("chrome 92, safari 15.2")
+
+      assert(
+        !targets.supports(getBrowserSupport(negativeIndexToAt.compatFeatures)),
+        "lacks Array.at",
+      )
+    })
+
+    test("compare versions numerically", () => {
+      assert(new Targets("safari 15.4").supports({ safari: "15.4" }), "same version")
+      assert(new Targets("safari 15.5").supports({ safari: "15.4" }), "later minor")
+      assert(new Targets("safari 16").supports({ safari: "15.4" }), "later major")
+      assert(!new Targets("safari 15").supports({ safari: "15.4" }), "earlier major")
+      assert(!new Targets("safari 9").supports({ safari: "9.1" }), "earlier minor")
+    })
+
+    test("reject browsers without support", () => {
+      assert(!new Targets("safari 18").supports({ chrome: "1" }))
+    })
+
+    test("use the lowest version of a range", () => {
+      const targets = new Targets("ios_saf 15.2-15.3")
+
+      assert(!targets.supports({ safari_ios: "15.3" }), "excludes 15.2")
+      assert(targets.supports({ safari_ios: "15.2" }), "includes 15.2")
+    })
+
+    test("map Chromium-based browsers to Chrome", () => {
+      assert(new Targets("android > 100").supports({ chrome_android: "92" }), "android")
+      assert(new Targets("opera 78").supports({ chrome: "92" }), "opera")
+      assert(!new Targets("opera 77").supports({ chrome: "92" }), "older opera")
+      assert(new Targets("samsung 16.0").supports({ chrome_android: "92" }), "samsung")
+      assert(!new Targets("samsung 15.0").supports({ chrome_android: "92" }), "older")
+      assert(new Targets("op_mob 80").supports({ chrome_android: "92" }), "op_mob")
+    })
+
+    test("map the edge versions of Chromium-based browsers", () => {
+      assert(new Targets("opera 15").supports({ chrome: "28" }), "first Opera")
+      assert(!new Targets("opera 15").supports({ chrome: "29" }), "first Opera")
+      assert(new Targets("opera 124").supports({ chrome: "140" }), "later Opera")
+      assert(!new Targets("opera 124").supports({ chrome: "141" }), "later Opera")
+      assert(
+        !new Targets("android 4.4").supports({ chrome_android: "31" }),
+        "first Android WebView",
+      )
+
+      const targets = new Targets("opera 15")
+      targets.browsers = ["android 4.4.3-4.4.4"]
+      assert(targets.supports({ chrome_android: "33" }), "Android WebView range")
+
+      targets.browsers = ["opera 1000"]
+      assert(targets.supports({ chrome: "100" }), "newer than known versions")
+      assert(!targets.supports({ chrome: "1000" }), "latest known Chromium version")
+    })
+
+    test("report browsers without support data", () => {
+      const targets = new Targets(
+        "chrome 90, op_mini all, kaios 2.5, android 4.2-4.3, opera 12, samsung 4",
+      )
+
+      assert.deepEqual(targets.unknown, [
+        "android 4.2-4.3",
+        "kaios 2.5",
+        "op_mini all",
+        "opera 12",
+      ])
+      assert(
+        targets.supports({ chrome: "90", chrome_android: "1" }),
+        "skip unknown browsers",
+      )
+      assert(
+        !targets.supports({ chrome: "91", chrome_android: "1" }),
+        "known browsers still apply",
+      )
+
+      targets.browsers = ["samsung 1"]
+      assert.deepEqual(targets.unknown, ["samsung 1"], "predates the known versions")
+    })
+
+    test("support widely available features with the defaults query", () => {
+      const targets = new Targets("defaults")
+
+      assert(targets.unknown.includes("op_mini all"), "op_mini all is unknown")
+      assert(
+        targets.supports(getBrowserSupport(varToLetOrConst.compatFeatures)),
+        "let and const",
+      )
+    })
+
+    test("load .browserslistrc", () => {
+      fs.writeFileSync(path.join(tempDir, ".browserslistrc"), "chrome 100\n")
+
+      const targets = Targets.load(tempDir)
+
+      assert.deepEqual(targets.browsers, ["chrome 100"])
+      assert.equal(targets.source, ".browserslistrc")
+    })
+
+    test("load the browserslist key from package.json", () => {
+      fs.writeFileSync(
+        path.join(tempDir, "package.json"),
+        JSON.stringify({ browserslist: ["firefox 100"] }),
+      )
+
+      assert.deepEqual(Targets.load(tempDir).browsers, ["firefox 100"])
+    })
+
+    test("return undefined without configuration", () => {
+      assert.equal(Targets.load(tempDir), undefined)
+    })
+  })
+
+  describe("getBrowserSupport", () => {
+    test("read the support of compat features from web-features", () => {
+      assert.deepEqual(getBrowserSupport(["javascript.builtins.Object.entries"]), {
+        chrome: "54",
+        chrome_android: "54",
+        edge: "14",
+        firefox: "47",
+        firefox_android: "47",
+        safari: "10.1",
+        safari_ios: "10.3",
+      })
+    })
+
+    test("require the latest version of all features", () => {
+      const support = getBrowserSupport(objectKeysForEachToEntries.compatFeatures)
+
+      assert.equal(support.chrome, "54", "Object.entries")
+      assert.equal(support.safari, "10.1", "Object.entries")
+      assert.equal(support.firefox, "47", "Object.entries")
+    })
+
+    test("reject unknown compat features", () => {
+      assert.throws(() => getBrowserSupport(["javascript.builtins.Foo"]), {
+        message: "Unknown compat feature: javascript.builtins.Foo",
+      })
+    })
+  })
+})
@@ -54,6 +54,24 @@ return x;
       assert(!result.modified, "keep use strict in non-module")
     })
 
+    test("remove 'use strict' from code with module source type", () => {
+      const result = transform(`'use strict';\nconst x = 1;\n`, {
+        sourceType: "module",
+      })
+
+      assert(result.modified, "remove use strict from module without imports")
+      assert.doesNotMatch(result.code, /'use strict'/)
+    })
+
+    test("do not remove 'use strict' from code with script source type", () => {
+      const result = transform(`'use strict';\nexport const x = 1;\n`, {
+        sourceType: "script",
+        rules: { only: ["removeUseStrictFromModules"] },
+      })
+
+      assert(!result.modified, "keeps use strict in classic scripts")
+    })
+
     test("remove 'use strict' with double quotes", () => {
       const result = transform(`
 "use strict";
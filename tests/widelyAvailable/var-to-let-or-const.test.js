@@ -14,6 +14,39 @@ suite("widely-available", () => {
       assert.doesNotMatch(result.code, /var x/)
     })
 
+    test("top-level bindings of a template", () => {
+      const result = transform(
+        `
+var x = 1;
+export var y;
+function f() {
+  var z = 1;
+}
+`,
+        { template: true },
+      )
+
+      assert(result.modified, "transform var reassignable by a template")
+      assert.match(result.code, /let x = 1/)
+      assert.match(result.code, /export let y/)
+      assert.match(result.code, /const z = 1/, "transforms nested declarations")
+    })
+
+    test("top-level bindings of classic scripts", () => {
+      const result = transform(
+        `
+var x = 1;
+function f() {
+  var y = 1;
+}
+`,
+        { sourceType: "script" },
+      )
+
+      assert.match(result.code, /var x = 1/, "keeps global variables")
+      assert.match(result.code, /const y = 1/, "transforms nested declarations")
+    })
+
     test("with reassignment", () => {
       const result = transform(`
   var x = 1;